@@ -1,10 +1,10 @@
 /**
- * AI Service Module using Groq API
+ * AI Service Module
  * Handles all AI-powered features: intent detection, query understanding, 
  * suggestions, overview generation, and ranking
+ * The LLM backend (Groq, OpenAI-compatible or local) is chosen in llm-providers.js
  */
 
-const Groq = require('groq-sdk');
 const path = require('path');
 const fs = require('fs');
 const {
@@ -38,71 +38,46 @@ function findRootEnv() {
 const envPath = findRootEnv();
 require('dotenv').config({ path: envPath });
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY || '';
-const GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+const { createProvider } = require('./llm-providers');
+const { buildPharmaContext } = require('./query-dictionary');
+const { understandQueryWithRules } = require('./query-rules');
+const { getDictionary } = require('./dictionary-store');
+const { CATEGORIES, normalizeCategory, categoryWithDescendants } = require('./taxonomy');
 
-if (!GROQ_API_KEY) {
-  console.warn('[AI Service] WARNING: GROQ_API_KEY not found in environment variables. AI features will not work.');
-}
+// Rule-based answers at or above this confidence skip the LLM entirely
+const RULES_CONFIDENCE_THRESHOLD = parseFloat(process.env.QUERY_RULES_CONFIDENCE) || 0.9;
+
+const llmProvider = createProvider();
 
-const groq = new Groq({
-  apiKey: GROQ_API_KEY,
-});
+if (!llmProvider.isConfigured()) {
+  console.warn(`[AI Service] WARNING: LLM provider '${llmProvider.name}' is not configured. AI features will not work.`);
+}
 
 /**
- * Make a request to Groq API
+ * Make a chat completion request to the configured LLM provider
+ * options.task and options.input let the local provider answer without a model
  */
-async function callGroq(messages, options = {}) {
-  if (!GROQ_API_KEY) {
-    throw new Error('GROQ_API_KEY not configured');
-  }
-
-  const completion = await groq.chat.completions.create({
-    model: GROQ_MODEL,
-    messages: messages,
-    temperature: options.temperature ?? 0.4,
-    max_tokens: options.max_tokens,
-    response_format: options.response_format
-  });
+async function callLLM(messages, options = {}) {
+  return llmProvider.complete(messages, options);
+}
 
-  return completion;
+/**
+ * Describe the active LLM provider (for startup logs and health checks)
+ */
+function getLLMInfo() {
+  return {
+    provider: llmProvider.name,
+    model: llmProvider.model,
+    configured: llmProvider.isConfigured()
+  };
 }
 
-const PHARMA_CONTEXT = `
-i2e Consulting is a pharmaceutical consulting company specializing in:
-- Strategic Portfolio Management (SPM)
-- Clinical Data Management (CDM)
-- Clinical Research Organization (CRO) services
-- Electronic Data Capture (EDC)
-- Clinical Trial Management Systems (CTMS)
-- Business Intelligence and Analytics
-- Planisware (PPM) implementation
-- Resource Management
-- Project Management
-
-Common abbreviations:
-- SPM: Strategic Portfolio Management
-- CDM: Clinical Data Management
-- CRO: Clinical Research Organization
-- EDC: Electronic Data Capture
-- CTMS: Clinical Trial Management System
-- PPM: Planisware Portfolio Management
-- BI: Business Intelligence
-- IT: Information Technology
-- AI/ML: Artificial Intelligence/Machine Learning
-- R&D: Research and Development
-- PMO: Project Management Office
-- HR: Human Resources
-
-Common synonyms:
-- Services = Offerings, Solutions, What we provide
-- Careers = Jobs, Positions, Openings, Hiring
-- Technologies = Tech, Tools, Platforms
-- Partners = Partnerships, Alliances, Collaborations
-- Solutions = Products, Services
-- People = Our Experts, Team, Employees
-- About Us = About, Company Information
-`;
+/**
+ * Domain context for prompts, rebuilt from the live dictionary
+ */
+function getPharmaContext() {
+  return buildPharmaContext(getDictionary());
+}
 
 /**
  * Understand user query intent and extract information
@@ -125,17 +100,25 @@ async function understandQuery(query) {
     return cached;
   }
 
+  // Fast path: the dictionary fully explains the query
+  const { confidence, ...ruleResult } = understandQueryWithRules(query, getDictionary());
+  if (confidence >= RULES_CONFIDENCE_THRESHOLD) {
+    cacheUnderstanding(query, ruleResult);
+    return ruleResult;
+  }
+
   try {
-    const completion = await callGroq([
+    const completion = await callLLM([
       {
         role: 'system',
         content: `You are an intelligent search assistant for i2e Consulting, a pharmaceutical consulting company.
 
-${PHARMA_CONTEXT}
+${getPharmaContext()}
 
 Your task is to understand user search queries and extract:
 1. Intent (search, category-keyword, question, category-only)
 2. Category ONLY if explicitly mentioned by the user (e.g., "blogs about PPM", "case studies", "services related to SPM")
+   - Use one of these category ids: ${CATEGORIES.map(category => category.id).join(', ')}
    - If the user just searches for a keyword without mentioning a category, set category to null
    - Only detect category when user explicitly uses words like "blogs", "case studies", "services", "technologies", etc.
 3. Keywords (main search terms)
@@ -170,7 +153,9 @@ IMPORTANT RULES:
       }
     ], {
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      response_format: { type: 'json_object' },
+      task: 'understand-query',
+      input: { query }
     });
 
     const response = completion.choices[0]?.message?.content || '{}';
@@ -183,7 +168,8 @@ IMPORTANT RULES:
 
     const result = {
       intent: parsed.intent || 'search',
-      category: parsed.category || null,
+      // Models sometimes answer with a label or plural ("Case Studies")
+      category: normalizeCategory(parsed.category),
       keywords: parsed.keywords || [],
       correctedQuery: parsed.correctedQuery || null,
       expandedTerms: parsed.expandedTerms || [],
@@ -196,16 +182,8 @@ IMPORTANT RULES:
     
     return result;
   } catch (error) {
-    // Fallback to basic parsing
-    return {
-      intent: 'search',
-      category: null,
-      keywords: query.split(/\s+/).filter(w => w.length > 0),
-      correctedQuery: null,
-      expandedTerms: [],
-      synonyms: [],
-      didYouMean: null
-    };
+    // Fallback to rule-based understanding (abbreviations, synonyms, categories)
+    return ruleResult;
   }
 }
 
@@ -224,12 +202,12 @@ async function generateSuggestions(query, existingResults = []) {
   }
 
   try {
-    const completion = await callGroq([
+    const completion = await callLLM([
       {
         role: 'system',
         content: `You are an autocomplete suggestion generator for i2e Consulting search.
 
-${PHARMA_CONTEXT}
+${getPharmaContext()}
 
 Generate 4-6 relevant autocomplete suggestions based on the partial query.
 Suggestions should:
@@ -250,7 +228,9 @@ ${existingResults.length > 0 ? `Existing results context:\n${existingResults.sli
       }
     ], {
       temperature: 0.5,
-      response_format: { type: 'json_object' }
+      response_format: { type: 'json_object' },
+      task: 'suggestions',
+      input: { query, results: existingResults }
     });
 
     const response = completion.choices[0]?.message?.content || '{}';
@@ -292,12 +272,12 @@ async function generateOverview(query, topResults, intent) {
       `${index + 1}. ${result.title}\n   ${result.description || result.content?.substring(0, 200) || ''}`
     ).join('\n\n');
 
-    const completion = await callGroq([
+    const completion = await callLLM([
       {
         role: 'system',
         content: `You are an AI assistant providing search overviews for i2e Consulting.
 
-${PHARMA_CONTEXT}
+${getPharmaContext()}
 
 Generate a concise, informative overview (2-3 sentences) that:
 - Understands the user's intent
@@ -320,7 +300,9 @@ Generate an AI overview for this search.`
       }
     ], {
       temperature: 0.4,
-      max_tokens: 200
+      max_tokens: 200,
+      task: 'overview',
+      input: { query, results: topResults.slice(0, 5) }
     });
 
     const overview = completion.choices[0]?.message?.content?.trim() || null;
@@ -355,12 +337,12 @@ async function rankResults(query, results, intent) {
         `${i + 1}. Title: ${r.title}\n   URL: ${r.url}\n   Description: ${(r.description || r.content || '').substring(0, 150)}`
       ).join('\n\n');
 
-      const completion = await callGroq([
+      const completion = await callLLM([
         {
           role: 'system',
           content: `You are a search result ranking assistant for i2e Consulting.
 
-${PHARMA_CONTEXT}
+${getPharmaContext()}
 
 Rank search results by relevance to the query. Return a JSON object with ranked indices (0-based) in order of relevance:
 {"rankedIndices": [0, 2, 1, 3, ...]}
@@ -384,7 +366,9 @@ Rank these results by relevance.`
         }
       ], {
         temperature: 0.2,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        task: 'rank-results',
+        input: { query, results }
       });
 
       const response = completion.choices[0]?.message?.content || '{}';
@@ -426,15 +410,15 @@ function buildElasticsearchQuery(understanding, categoryFilter = null) {
   const { intent, category, keywords, expandedTerms, synonyms } = understanding;
   
   // Determine which category to use (filter takes precedence)
-  const targetCategory = categoryFilter || category;
+  const targetCategory = normalizeCategory(categoryFilter || category);
   
   const shouldClauses = [];
   const mustClauses = [];
 
-  // Add category filter if specified
-  if (targetCategory && targetCategory.trim() !== '') {
+  // Add category filter if specified (a parent category includes its children)
+  if (targetCategory) {
     mustClauses.push({
-      term: { category: targetCategory }
+      terms: { category: categoryWithDescendants(targetCategory) }
     });
   }
 
@@ -502,8 +486,25 @@ function buildElasticsearchQuery(understanding, categoryFilter = null) {
             }
           },
           {
-            prefix: {
-              title: { value: term.toLowerCase(), boost: 3 }
+            // Edge n-gram subfield; a raw prefix query would miss stemmed title terms
+            match: {
+              'title.autocomplete': { query: term, boost: 3, operator: 'and' }
+            }
+          }
+        );
+      }
+
+      // Word-pair/triple matches reward terms that appear next to each other
+      if (term.trim().includes(' ')) {
+        shouldClauses.push(
+          {
+            match: {
+              'title.shingles': { query: term, boost: 4 }
+            }
+          },
+          {
+            match: {
+              'page_description.shingles': { query: term, boost: 2 }
             }
           }
         );
@@ -522,6 +523,60 @@ function buildElasticsearchQuery(understanding, categoryFilter = null) {
     }
   });
 
+  // Section and FAQ matches; inner_hits returns the best one for deep links
+  const nestedTerms = searchTerms.filter(term => term && term.trim().length > 0);
+  if (nestedTerms.length > 0) {
+    shouldClauses.push(
+      {
+        nested: {
+          path: 'sections',
+          score_mode: 'max',
+          // Indexes from before definition v4 have no nested sections; match nothing there instead of failing
+          ignore_unmapped: true,
+          query: {
+            bool: {
+              should: nestedTerms.flatMap(term => [
+                { match_phrase: { 'sections.heading': { query: term, boost: 3 } } },
+                { match: { 'sections.heading': { query: term, boost: 2, operator: 'and' } } },
+                { match: { 'sections.body': { query: term, operator: 'and' } } }
+              ])
+            }
+          },
+          inner_hits: {
+            name: 'sections',
+            size: 1,
+            _source: ['sections.heading', 'sections.path', 'sections.url'],
+            highlight: { fields: { 'sections.body': { fragment_size: 160, number_of_fragments: 1 } } }
+          },
+          boost: 2
+        }
+      },
+      {
+        nested: {
+          path: 'faqs',
+          score_mode: 'max',
+          // Indexes from before definition v4 have no nested faqs; match nothing there instead of failing
+          ignore_unmapped: true,
+          query: {
+            bool: {
+              should: nestedTerms.flatMap(term => [
+                { match_phrase: { 'faqs.question': { query: term, boost: 3 } } },
+                { match: { 'faqs.question': { query: term, boost: 2, operator: 'and' } } },
+                { match: { 'faqs.answer': { query: term, operator: 'and' } } }
+              ])
+            }
+          },
+          inner_hits: {
+            name: 'faqs',
+            size: 1,
+            _source: ['faqs.question', 'faqs.answer', 'faqs.url']
+          },
+          boost: 2
+        }
+      }
+    );
+  }
+
   // Build final query
   const query = {
     bool: {
@@ -539,6 +594,7 @@ module.exports = {
   generateSuggestions,
   generateOverview,
   rankResults,
-  buildElasticsearchQuery
+  buildElasticsearchQuery,
+  getLLMInfo
 };
 
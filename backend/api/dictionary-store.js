@@ -0,0 +1,132 @@
+/**
+ * Dictionary Store
+ * Keeps the live query dictionary: built-in defaults overlaid with the
+ * search-term entries editors maintain in Strapi. Reloaded on an interval
+ * and on demand (Strapi lifecycle hooks call POST /dictionary/reload).
+ */
+
+const axios = require('axios');
+const { DEFAULT_DICTIONARY, mergeDictionaryTerms } = require('./query-dictionary');
+
+const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1400';
+const STRAPI_API_KEY = (process.env.STRAPI_API_KEY || '').trim().replace(/^["']|["']$/g, '').trim();
+const REFRESH_INTERVAL = parseInt(process.env.DICTIONARY_REFRESH_MS) || 5 * 60 * 1000;
+
+let currentDictionary = DEFAULT_DICTIONARY;
+let lastLoad = {
+  source: 'defaults',
+  terms: 0,
+  loadedAt: null,
+  error: null
+};
+const listeners = [];
+let refreshTimer = null;
+
+/**
+ * Get the dictionary currently in use
+ */
+function getDictionary() {
+  return currentDictionary;
+}
+
+/**
+ * Get information about the last reload (for admin endpoints)
+ */
+function getDictionaryStatus() {
+  return { ...lastLoad };
+}
+
+/**
+ * Register a callback that runs after every successful reload
+ */
+function onDictionaryChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Fetch all search-term entries from Strapi
+ */
+async function fetchSearchTerms() {
+  const entries = [];
+  let page = 1;
+  let pageCount = 1;
+
+  do {
+    const response = await axios.get(`${STRAPI_URL}/api/search-terms`, {
+      params: {
+        'pagination[page]': page,
+        'pagination[pageSize]': 100
+      },
+      headers: {
+        'Authorization': `Bearer ${STRAPI_API_KEY}`
+      },
+      timeout: 10000
+    });
+
+    const items = response.data.data || [];
+    entries.push(...items.map(item => item.attributes || {}));
+    pageCount = response.data.meta?.pagination?.pageCount || 1;
+    page++;
+  } while (page <= pageCount);
+
+  return entries;
+}
+
+/**
+ * Reload the dictionary from Strapi and notify listeners.
+ * Keeps the previous dictionary if Strapi is unavailable.
+ */
+async function loadDictionary() {
+  if (!STRAPI_API_KEY) {
+    lastLoad = { ...lastLoad, error: 'STRAPI_API_KEY not set' };
+    return getDictionaryStatus();
+  }
+
+  try {
+    const entries = await fetchSearchTerms();
+    currentDictionary = mergeDictionaryTerms(DEFAULT_DICTIONARY, entries);
+    lastLoad = {
+      source: entries.length > 0 ? 'strapi' : 'defaults',
+      terms: entries.length,
+      loadedAt: new Date().toISOString(),
+      error: null
+    };
+  } catch (error) {
+    const reason = error.response ? `Strapi returned ${error.response.status}` : error.message;
+    // 404 just means the search-term content type is not deployed yet
+    if (!error.response || error.response.status !== 404) {
+      console.warn(`[Dictionary] ⚠ Could not load search terms: ${reason}. Keeping current dictionary.`);
+    }
+    lastLoad = { ...lastLoad, error: reason };
+    return getDictionaryStatus();
+  }
+
+  for (const listener of listeners) {
+    try {
+      await listener(currentDictionary);
+    } catch (error) {
+      console.error('[Dictionary] Error in change listener:', error.message);
+    }
+  }
+
+  return getDictionaryStatus();
+}
+
+/**
+ * Load once now and keep reloading on an interval
+ */
+async function startDictionaryRefresh() {
+  await loadDictionary();
+  if (!refreshTimer) {
+    refreshTimer = setInterval(loadDictionary, REFRESH_INTERVAL);
+    refreshTimer.unref();
+  }
+}
+
+module.exports = {
+  getDictionary,
+  getDictionaryStatus,
+  onDictionaryChange,
+  loadDictionary,
+  startDictionaryRefresh
+};
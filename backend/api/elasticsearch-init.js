@@ -1,25 +1,34 @@
 const axios = require('axios');
-const { Client } = require('@elastic/elasticsearch');
+const { ELASTICSEARCH_URL, esClient } = require('./es-client');
+const { buildSynonymRules } = require('./query-dictionary');
+const { getDictionary } = require('./dictionary-store');
+const {
+  INDEX_NAME,
+  INDEX_DEFINITION_VERSION,
+  DEFAULT_SYNONYMS_SET,
+  buildIndexDefinition,
+  toSearchDocument
+} = require('./index-definition');
+const { categoryWithDescendants } = require('./taxonomy');
+const {
+  getAliasTargets,
+  nextIndexName,
+  swapAlias,
+  pruneIndices,
+  findPreviousIndex
+} = require('./index-manager');
 
-const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
 const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1400';
 const STRAPI_API_KEY = (process.env.STRAPI_API_KEY || '').trim().replace(/^["']|["']$/g, '').trim();
 
-const INDEX_NAME = 'search_items';
+const SYNONYMS_SET = process.env.ELASTICSEARCH_SYNONYMS_SET || DEFAULT_SYNONYMS_SET;
 
-// Elasticsearch client configuration
-const esClientConfig = {
-  node: ELASTICSEARCH_URL,
-};
-
-if (process.env.ELASTICSEARCH_USERNAME && process.env.ELASTICSEARCH_PASSWORD) {
-  esClientConfig.auth = {
-    username: process.env.ELASTICSEARCH_USERNAME,
-    password: process.env.ELASTICSEARCH_PASSWORD,
-  };
-}
-
-const esClient = new Client(esClientConfig);
+// Sync batching: Strapi page size, bulk batch limits and retries for rejected documents
+const STRAPI_PAGE_SIZE = 100;
+const BULK_BATCH_SIZE = parseInt(process.env.SYNC_BULK_SIZE) || 500;
+const BULK_MAX_BYTES = parseInt(process.env.SYNC_BULK_MAX_BYTES) || 5 * 1024 * 1024;
+const BULK_MAX_ATTEMPTS = parseInt(process.env.SYNC_BULK_MAX_ATTEMPTS) || 4;
+const BULK_RETRY_BASE_MS = parseInt(process.env.SYNC_BULK_RETRY_MS) || 1000;
 
 /**
  * Test Elasticsearch connection
@@ -49,60 +58,52 @@ async function indexExists() {
 }
 
 /**
- * Create Elasticsearch index with proper mapping
+ * Push the dictionary's synonym rules to the Elasticsearch synonyms set.
+ * Elasticsearch reloads search analyzers that use the set automatically.
+ * Returns false if the cluster does not support the synonyms API (< 8.10).
  */
-async function createIndex() {
+async function updateSynonymsSet(dictionary = getDictionary()) {
   try {
-    const mapping = {
-      mappings: {
-        properties: {
-          url: { type: 'keyword' },
-          title: { 
-            type: 'text',
-            analyzer: 'standard',
-            fields: {
-              keyword: { type: 'keyword' }
-            }
-          },
-          description: { 
-            type: 'text',
-            analyzer: 'standard'
-          },
-          content: {
-            type: 'text',
-            analyzer: 'standard'
-          },
-          page_description: {
-            type: 'text',
-            analyzer: 'standard'
-          },
-          category: { 
-            type: 'keyword',
-            fields: {
-              keyword: { type: 'keyword' }
-            }
-          },
-          last_modified: { type: 'date' }
-        }
-      },
-      settings: {
-        number_of_shards: 1,
-        number_of_replicas: 0
-      }
-    };
+    const rules = buildSynonymRules(dictionary);
+    await esClient.synonyms.putSynonym({
+      id: SYNONYMS_SET,
+      synonyms_set: rules
+    });
+    console.log(`[Elasticsearch] ✓ Synonyms set '${SYNONYMS_SET}' updated (${rules.length} rules)`);
+    return true;
+  } catch (error) {
+    const reason = error.meta?.body?.error?.reason || error.message;
+    console.warn(`[Elasticsearch] ⚠ Could not update synonyms set '${SYNONYMS_SET}': ${reason}`);
+    return false;
+  }
+}
+
+/**
+ * Create a physical index with the current definition.
+ * With alias: true the search alias is attached in the same request
+ * (used for the very first index).
+ */
+async function createIndex(indexName, { alias = false } = {}) {
+  try {
+    // Searches go through the synonym graph when the cluster supports synonyms sets
+    const hasSynonyms = await updateSynonymsSet();
+    const mapping = buildIndexDefinition({ synonymsSet: hasSynonyms ? SYNONYMS_SET : null });
+    if (alias) {
+      mapping.aliases = { [INDEX_NAME]: {} };
+    }
     
     await esClient.indices.create({
-      index: INDEX_NAME,
+      index: indexName,
       body: mapping
     });
     
-    console.log(`[Elasticsearch] ✓ Index '${INDEX_NAME}' created successfully`);
+    console.log(`[Elasticsearch] ✓ Index '${indexName}' created successfully (definition v${INDEX_DEFINITION_VERSION})`);
     return true;
   } catch (error) {
     if (error.meta && error.meta.body && error.meta.body.error) {
       const errorType = error.meta.body.error.type;
       if (errorType === 'resource_already_exists_exception') {
-        console.log(`[Elasticsearch] Index '${INDEX_NAME}' already exists`);
+        console.log(`[Elasticsearch] Index '${indexName}' already exists`);
         return true;
       }
       console.error(`[Elasticsearch] ✗ Error creating index:`, error.meta.body.error);
@@ -114,108 +115,252 @@ async function createIndex() {
 }
 
 /**
- * Sync all data from Strapi to Elasticsearch
+ * Strapi query params for a sync filter.
+ * category and updatedSince narrow the sync; urls is one chunk of a URL list.
+ */
+function buildFilterParams({ category, updatedSince } = {}, urls = null) {
+  // Unpublished items (gone from the sitemap) never go into the index
+  const params = {
+    'filters[$or][0][search_status][$null]': true,
+    'filters[$or][1][search_status][$ne]': 'unpublished'
+  };
+  if (category) {
+    // Items pinned to the category by an editor, as well as those the scraper
+    // put there (a few pinned elsewhere are synced too, which is harmless).
+    // A parent category includes its children, as in /search.
+    categoryWithDescendants(category).forEach((id, i) => {
+      params[`filters[$and][0][$or][0][category][$in][${i}]`] = id;
+      params[`filters[$and][0][$or][1][category_override][$in][${i}]`] = id;
+    });
+  }
+  if (updatedSince) {
+    params['filters[updatedAt][$gte]'] = new Date(updatedSince).toISOString();
+  }
+  if (urls) {
+    urls.forEach((url, i) => {
+      params[`filters[url][$in][${i}]`] = url;
+    });
+  }
+  return params;
+}
+
+/**
+ * Stream search items from Strapi one page at a time.
+ * Yields { items, total } where total is the number of matching items.
+ */
+async function* fetchStrapiPages(filters = {}) {
+  // Long URL lists are sent in chunks to keep the query string short
+  const urlChunks = [];
+  if (Array.isArray(filters.urls) && filters.urls.length > 0) {
+    for (let i = 0; i < filters.urls.length; i += 50) {
+      urlChunks.push(filters.urls.slice(i, i + 50));
+    }
+  } else {
+    urlChunks.push(null);
+  }
+
+  let total = 0;
+  for (const urls of urlChunks) {
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await axios.get(
+        `${STRAPI_URL}/api/search-items`,
+        {
+          params: {
+            ...buildFilterParams(filters, urls),
+            'pagination[page]': page,
+            'pagination[pageSize]': STRAPI_PAGE_SIZE,
+            'pagination[withCount]': true
+          },
+          headers: {
+            'Authorization': `Bearer ${STRAPI_API_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      const items = response.data.data || [];
+      const pagination = response.data.meta?.pagination || {};
+      if (page === 1) {
+        total += pagination.total || items.length;
+      }
+      hasMore = page < pagination.pageCount;
+      page++;
+
+      yield { items, total };
+    }
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a bulk item (or whole request) failure is worth retrying:
+ * Elasticsearch is overloaded or temporarily unavailable
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status === 502 || status === 503 || status === 504;
+}
+
+/**
+ * Send one batch of documents with the bulk API.
+ * Items rejected with a retryable status (and whole-request failures) are
+ * retried with exponential backoff; everything else is reported per document.
+ * Returns { indexed, failures }.
  */
-async function syncStrapiToElasticsearch() {
+async function flushBulkBatch(batch, targetIndex) {
+  let pending = batch;
+  let indexed = 0;
+  const failures = [];
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      const delay = Math.min(BULK_RETRY_BASE_MS * 2 ** (attempt - 1), 30000);
+      console.warn(`[Elasticsearch] ⚠ Retrying ${pending.length} documents in ${delay}ms (attempt ${attempt + 1}/${BULK_MAX_ATTEMPTS})`);
+      await sleep(delay);
+    }
+    const lastAttempt = attempt + 1 >= BULK_MAX_ATTEMPTS;
+
+    const operations = [];
+    for (const { id, document } of pending) {
+      operations.push({ index: { _index: targetIndex, _id: id } }, document);
+    }
+
+    let response;
+    try {
+      response = await esClient.bulk({ operations });
+    } catch (error) {
+      const status = error.meta?.statusCode;
+      if (!lastAttempt && (isRetryableStatus(status) || !status)) {
+        continue;
+      }
+      const reason = error.meta?.body?.error?.reason || error.message;
+      for (const { id, document } of pending) {
+        failures.push({ id, url: document.url, status: status || null, type: 'request_failed', reason });
+      }
+      break;
+    }
+
+    const retry = [];
+    response.items.forEach((item, i) => {
+      const result = item.index || {};
+      if (!result.error) {
+        indexed++;
+        return;
+      }
+      if (!lastAttempt && isRetryableStatus(result.status)) {
+        retry.push(pending[i]);
+        return;
+      }
+      failures.push({
+        id: pending[i].id,
+        url: pending[i].document.url,
+        status: result.status,
+        type: result.error.type,
+        reason: result.error.reason
+      });
+    });
+    pending = retry;
+  }
+
+  return { indexed, failures };
+}
+
+/**
+ * Sync data from Strapi to Elasticsearch.
+ * Pages are streamed from Strapi and flushed in bulk batches of at most
+ * SYNC_BULK_SIZE documents / SYNC_BULK_MAX_BYTES, so memory stays flat
+ * however many items there are.
+ *
+ * Writes to the search alias unless options.index names a physical index.
+ * options.filters ({ category, updatedSince, urls }) limits the sync to
+ * matching items; options.onProgress receives { fetched, total, indexed, errors }.
+ * Returns { synced, errors, total, failures } where total is the Strapi item
+ * count and failures lists { id, url, status, type, reason } per document,
+ * plus skipped (a reason) when Strapi could not be reached.
+ */
+async function syncStrapiToElasticsearch(options = {}) {
+  const targetIndex = options.index || INDEX_NAME;
+  const filters = options.filters || {};
+  const onProgress = options.onProgress || (() => {});
+
   if (!STRAPI_API_KEY) {
     console.warn('[Elasticsearch] ⚠ STRAPI_API_KEY not set. Skipping data sync.');
-    return { synced: 0, errors: 0 };
+    return { synced: 0, errors: 0, total: 0, failures: [], skipped: 'STRAPI_API_KEY not set' };
   }
 
+  const progress = { fetched: 0, total: 0, indexed: 0, errors: 0 };
+  const failures = [];
+  let batch = [];
+  let batchBytes = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await flushBulkBatch(batch, targetIndex);
+    progress.indexed += result.indexed;
+    progress.errors += result.failures.length;
+    failures.push(...result.failures);
+    batch = [];
+    batchBytes = 0;
+    onProgress({ ...progress });
+  };
+
   try {
     console.log('[Elasticsearch] Syncing data from Strapi...');
-    
-    // Fetch all search items from Strapi
-    let allItems = [];
-    let page = 1;
-    const pageSize = 100;
-    let hasMore = true;
 
-    while (hasMore) {
-      try {
-        const response = await axios.get(
-          `${STRAPI_URL}/api/search-items`,
-          {
-            params: {
-              'pagination[page]': page,
-              'pagination[pageSize]': pageSize,
-              'pagination[withCount]': true
-            },
-            headers: {
-              'Authorization': `Bearer ${STRAPI_API_KEY}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 10000
-          }
-        );
+    try {
+      for await (const { items, total } of fetchStrapiPages(filters)) {
+        progress.fetched += items.length;
+        progress.total = total;
+        onProgress({ ...progress });
 
-        const items = response.data.data || [];
-        allItems = allItems.concat(items);
-        
-        const pagination = response.data.meta?.pagination || {};
-        hasMore = page < pagination.pageCount;
-        page++;
-        
-        if (allItems.length % 100 === 0) {
-          console.log(`[Elasticsearch] Fetched ${allItems.length} items from Strapi...`);
-        }
-      } catch (error) {
-        if (error.response && error.response.status === 401) {
-          console.warn('[Elasticsearch] ⚠ Strapi API key invalid. Skipping data sync.');
-          return { synced: 0, errors: 0 };
+        for (const item of items) {
+          const source = item.attributes || {};
+          const document = toSearchDocument(source);
+          batch.push({ id: item.id?.toString() || source.url, document });
+          batchBytes += Buffer.byteLength(JSON.stringify(document));
+
+          if (batch.length >= BULK_BATCH_SIZE || batchBytes >= BULK_MAX_BYTES) {
+            await flush();
+          }
         }
-        if (error.code === 'ECONNREFUSED') {
-          console.warn('[Elasticsearch] ⚠ Strapi is not running yet. Data sync will be skipped.');
-          return { synced: 0, errors: 0 };
+
+        if (progress.fetched % 1000 === 0) {
+          console.log(`[Elasticsearch] Fetched ${progress.fetched}/${progress.total} items from Strapi...`);
         }
-        throw error;
       }
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        console.warn('[Elasticsearch] ⚠ Strapi API key invalid. Skipping data sync.');
+        return { synced: progress.indexed, errors: progress.errors, total: 0, failures, skipped: 'Strapi API key invalid' };
+      }
+      if (error.code === 'ECONNREFUSED') {
+        console.warn('[Elasticsearch] ⚠ Strapi is not running yet. Data sync will be skipped.');
+        return { synced: progress.indexed, errors: progress.errors, total: 0, failures, skipped: 'Strapi is not running' };
+      }
+      throw error;
     }
 
-    if (allItems.length === 0) {
+    await flush();
+
+    if (progress.fetched === 0) {
       console.log('[Elasticsearch] No items found in Strapi. Index is ready but empty.');
-      return { synced: 0, errors: 0 };
+      return { synced: 0, errors: 0, total: 0, failures: [] };
     }
 
-    // Prepare bulk operations
-    const body = [];
-    for (const item of allItems) {
-      const source = item.attributes || {};
-      
-      body.push({
-        index: {
-          _index: INDEX_NAME,
-          _id: item.id?.toString() || source.url
-        }
-      });
-      
-      body.push({
-        url: source.url || '',
-        title: source.title || '',
-        description: source.description || '',
-        content: source.content || '',
-        page_description: source.page_description || '',
-        category: source.category || '',
-        last_modified: source.last_modified || source.updatedAt || new Date().toISOString()
-      });
-    }
+    await esClient.indices.refresh({ index: targetIndex });
 
-    // Perform bulk index
-    if (body.length > 0) {
-      const bulkResponse = await esClient.bulk({ refresh: true, body });
-      
-      if (bulkResponse.errors) {
-        const errors = bulkResponse.items.filter(item => item.index?.error);
-        console.error(`[Elasticsearch] ✗ ${errors.length} errors during bulk index`);
-        console.log(`[Elasticsearch] ✓ Successfully indexed ${allItems.length - errors.length} items`);
-        return { synced: allItems.length - errors.length, errors: errors.length };
-      } else {
-        console.log(`[Elasticsearch] ✓ Successfully indexed ${allItems.length} items`);
-        return { synced: allItems.length, errors: 0 };
+    if (failures.length > 0) {
+      console.error(`[Elasticsearch] ✗ ${failures.length} errors during bulk index`);
+      for (const failure of failures.slice(0, 5)) {
+        console.error(`  ${failure.url || failure.id}: [${failure.type}] ${failure.reason}`);
       }
     }
-
-    return { synced: 0, errors: 0 };
+    console.log(`[Elasticsearch] ✓ Successfully indexed ${progress.indexed} items`);
+    return { synced: progress.indexed, errors: failures.length, total: progress.total, failures };
   } catch (error) {
     if (error.response) {
       console.error(`[Elasticsearch] ✗ Error syncing data: ${error.response.status} ${error.response.statusText}`);
@@ -226,6 +371,78 @@ async function syncStrapiToElasticsearch() {
   }
 }
 
+/**
+ * Build a fresh physical index from Strapi and swap the search alias to it.
+ * The alias only moves if the new index holds exactly as many documents as
+ * Strapi returned; otherwise the new index is deleted and search keeps
+ * using the current one. The previous generation is kept for rollback.
+ */
+async function reindexFromStrapi({ force = false, onProgress } = {}) {
+  const startedAt = Date.now();
+  await testElasticsearchConnection();
+
+  const { indices: previousIndices } = await getAliasTargets();
+  const newIndex = await nextIndexName();
+  console.log(`[Elasticsearch] Reindexing into '${newIndex}' (alias currently on: ${previousIndices.join(', ') || 'nothing'})`);
+
+  await createIndex(newIndex);
+
+  try {
+    const result = await syncStrapiToElasticsearch({ index: newIndex, onProgress });
+    if (result.skipped) {
+      throw new Error(`Sync skipped: ${result.skipped}`);
+    }
+    await esClient.indices.refresh({ index: newIndex });
+    const countResponse = await esClient.count({ index: newIndex });
+    const count = countResponse.count || 0;
+
+    if (result.total === 0 && !force) {
+      throw new Error('Strapi returned no items; refusing to point search at an empty index (use --force to override)');
+    }
+    if (count !== result.total && !force) {
+      throw new Error(`Document count mismatch: Strapi has ${result.total} items but '${newIndex}' has ${count} documents (${result.errors} failed to index)`);
+    }
+
+    const { previous } = await swapAlias(newIndex);
+    const deleted = await pruneIndices(newIndex, previous);
+
+    const summary = {
+      index: newIndex,
+      previous,
+      documents: count,
+      strapiItems: result.total,
+      errors: result.errors,
+      failures: result.failures,
+      deleted,
+      durationMs: Date.now() - startedAt
+    };
+    console.log(`[Elasticsearch] ✓ Reindex complete: ${count} documents in '${newIndex}' (${summary.durationMs}ms)`);
+    return summary;
+  } catch (error) {
+    console.error(`[Elasticsearch] ✗ Reindex failed, alias left unchanged: ${error.message}`);
+    try {
+      await esClient.indices.delete({ index: newIndex });
+    } catch (deleteError) {
+      console.warn(`[Elasticsearch] ⚠ Could not delete '${newIndex}': ${deleteError.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Point the search alias back at the previous generation
+ */
+async function rollbackIndex() {
+  await testElasticsearchConnection();
+
+  const previousIndex = await findPreviousIndex();
+  if (!previousIndex) {
+    throw new Error(`No previous '${INDEX_NAME}' index to roll back to`);
+  }
+
+  return swapAlias(previousIndex);
+}
+
 /**
  * Initialize Elasticsearch: create index and sync data
  */
@@ -237,17 +454,23 @@ async function initializeElasticsearch() {
     await testElasticsearchConnection();
     console.log('[Elasticsearch] ✓ Connection successful');
     
-    // Check if index exists
+    // Check if the alias (or a legacy concrete index) exists
     const exists = await indexExists();
     
     if (!exists) {
-      // Create index
-      await createIndex();
+      // First run: create generation 1 with the alias attached
+      await createIndex(await nextIndexName(), { alias: true });
       
       // Sync data from Strapi
       await syncStrapiToElasticsearch();
     } else {
-      console.log(`[Elasticsearch] ✓ Index '${INDEX_NAME}' exists`);
+      const { indices, legacy } = await getAliasTargets();
+      if (legacy) {
+        console.warn(`[Elasticsearch] ⚠ '${INDEX_NAME}' is a concrete index. Run "npm run reindex" in backend/ to move it behind an alias.`);
+      } else {
+        console.log(`[Elasticsearch] ✓ Alias '${INDEX_NAME}' -> ${indices.join(', ')}`);
+      }
+      await warnIfOutdated();
       
       // Check if index has data
       try {
@@ -273,11 +496,33 @@ async function initializeElasticsearch() {
   }
 }
 
+/**
+ * Warn when the live index was built from an older index definition
+ * (its mappings lack newer fields, so search features that need them degrade)
+ */
+async function warnIfOutdated() {
+  try {
+    const response = await esClient.indices.getMapping({ index: INDEX_NAME });
+    const mappings = response.body || response;
+    for (const [index, { mappings: mapping }] of Object.entries(mappings)) {
+      const version = mapping?._meta?.definition_version || 0;
+      if (version < INDEX_DEFINITION_VERSION) {
+        console.warn(`[Elasticsearch] ⚠ ${index} was built from index definition v${version || '1'}, current is v${INDEX_DEFINITION_VERSION}.`);
+        console.warn('[Elasticsearch] ⚠ Section/FAQ deep links, detail filters and category tree counts need the new mappings. Run "npm run reindex" in backend/.');
+      }
+    }
+  } catch (error) {
+    console.warn('[Elasticsearch] ⚠ Could not read the index definition version:', error.message);
+  }
+}
+
 module.exports = {
   initializeElasticsearch,
   syncStrapiToElasticsearch,
+  reindexFromStrapi,
+  rollbackIndex,
   createIndex,
+  updateSynonymsSet,
   indexExists,
   testElasticsearchConnection
 };
-
@@ -0,0 +1,27 @@
+/**
+ * Elasticsearch Client
+ * Shared client for the search API, index management and sync
+ */
+
+const { Client } = require('@elastic/elasticsearch');
+
+const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
+
+// Elasticsearch client configuration
+const esClientConfig = {
+  node: ELASTICSEARCH_URL,
+};
+
+if (process.env.ELASTICSEARCH_USERNAME && process.env.ELASTICSEARCH_PASSWORD) {
+  esClientConfig.auth = {
+    username: process.env.ELASTICSEARCH_USERNAME,
+    password: process.env.ELASTICSEARCH_PASSWORD,
+  };
+}
+
+const esClient = new Client(esClientConfig);
+
+module.exports = {
+  ELASTICSEARCH_URL,
+  esClient
+};
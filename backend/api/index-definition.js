@@ -0,0 +1,284 @@
+/**
+ * Search Index Definition
+ * The single source of truth for the search_items settings and mappings,
+ * used by both the API (elasticsearch-init.js) and the scraper.
+ * Keep this module free of dependencies (other than the equally plain
+ * taxonomy.js) so the scraper can require it directly.
+ *
+ * Search goes through the `search_items` alias; the documents live in
+ * versioned physical indices (search_items_v1, search_items_v2, ...) so a
+ * reindex can build a new index and swap the alias without downtime.
+ *
+ * Bump INDEX_DEFINITION_VERSION whenever settings or mappings change.
+ *   v1 - standard analyzer on every text field
+ *   v2 - English stemming + stop words, synonym graph at search time,
+ *        edge-ngram autocomplete and shingle subfields
+ *   v3 - updated_at (Strapi updatedAt) for drift detection
+ *   v4 - nested sections and faqs, so search can deep-link to the match
+ *   v5 - author, publish_date, read_time_minutes, tags, speakers, event_date
+ *   v6 - category_path (taxonomy ids from the top level down) for
+ *        hierarchical category facets, and the page's breadcrumb trail
+ */
+
+const { normalizeCategory, categoryPath } = require('./taxonomy');
+
+const INDEX_NAME = 'search_items';
+const INDEX_DEFINITION_VERSION = 6;
+const DEFAULT_SYNONYMS_SET = 'search_items_synonyms';
+const VERSIONED_INDEX_PATTERN = new RegExp(`^${INDEX_NAME}_v(\\d+)$`);
+
+/**
+ * Physical index name for a generation number (1 -> search_items_v1)
+ */
+function versionedIndexName(generation) {
+  return `${INDEX_NAME}_v${generation}`;
+}
+
+/**
+ * Generation number of a physical index name, or null if it isn't one of ours
+ */
+function parseIndexGeneration(indexName) {
+  const match = VERSIONED_INDEX_PATTERN.exec(indexName || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Analysis chain. The synonym filter is search-time only so dictionary
+ * edits apply without reindexing; it runs before stop words and stemming
+ * so expansions ("ctms" -> "clinical trial management system") are stemmed
+ * the same way as indexed text.
+ */
+function buildAnalysis(synonymsSet) {
+  const filter = {
+    english_possessive_stemmer: { type: 'stemmer', language: 'possessive_english' },
+    english_stop: { type: 'stop', stopwords: '_english_' },
+    english_stemmer: { type: 'stemmer', language: 'english' },
+    autocomplete_edge_ngram: { type: 'edge_ngram', min_gram: 2, max_gram: 20 },
+    phrase_shingles: {
+      type: 'shingle',
+      min_shingle_size: 2,
+      max_shingle_size: 3,
+      output_unigrams: false
+    }
+  };
+
+  const englishFilters = ['english_possessive_stemmer', 'lowercase', 'english_stop', 'english_stemmer'];
+  let searchFilters = englishFilters;
+
+  if (synonymsSet) {
+    filter.search_synonyms = {
+      type: 'synonym_graph',
+      synonyms_set: synonymsSet,
+      updateable: true,
+      // Don't fail on rules whose words the chain drops (e.g. "it")
+      lenient: true
+    };
+    searchFilters = ['english_possessive_stemmer', 'lowercase', 'search_synonyms', 'english_stop', 'english_stemmer'];
+  }
+
+  return {
+    filter,
+    analyzer: {
+      english_index: { type: 'custom', tokenizer: 'standard', filter: englishFilters },
+      english_search: { type: 'custom', tokenizer: 'standard', filter: searchFilters },
+      autocomplete_index: {
+        type: 'custom',
+        tokenizer: 'standard',
+        filter: ['lowercase', 'asciifolding', 'autocomplete_edge_ngram']
+      },
+      autocomplete_search: {
+        type: 'custom',
+        tokenizer: 'standard',
+        filter: ['lowercase', 'asciifolding']
+      },
+      phrase_shingles: {
+        type: 'custom',
+        tokenizer: 'standard',
+        filter: ['lowercase', 'phrase_shingles']
+      }
+    }
+  };
+}
+
+/**
+ * English text field with optional autocomplete/shingle subfields
+ */
+function textField({ keyword = false, autocomplete = false, shingles = false } = {}) {
+  const field = {
+    type: 'text',
+    analyzer: 'english_index',
+    search_analyzer: 'english_search'
+  };
+
+  const fields = {};
+  if (keyword) {
+    fields.keyword = { type: 'keyword', ignore_above: 512 };
+  }
+  if (autocomplete) {
+    fields.autocomplete = {
+      type: 'text',
+      analyzer: 'autocomplete_index',
+      search_analyzer: 'autocomplete_search'
+    };
+  }
+  if (shingles) {
+    fields.shingles = { type: 'text', analyzer: 'phrase_shingles' };
+  }
+  if (Object.keys(fields).length > 0) {
+    field.fields = fields;
+  }
+
+  return field;
+}
+
+/**
+ * Build the index body for indices.create / PUT /<index>.
+ * Pass synonymsSet: null when the cluster has no synonyms API (< 8.10).
+ */
+function buildIndexDefinition({ synonymsSet = DEFAULT_SYNONYMS_SET } = {}) {
+  return {
+    settings: {
+      number_of_shards: 1,
+      number_of_replicas: 0,
+      analysis: buildAnalysis(synonymsSet)
+    },
+    mappings: {
+      _meta: {
+        definition_version: INDEX_DEFINITION_VERSION
+      },
+      properties: {
+        url: { type: 'keyword' },
+        title: textField({ keyword: true, autocomplete: true, shingles: true }),
+        description: textField({ shingles: true }),
+        content: textField({ shingles: true }),
+        page_description: textField({ shingles: true }),
+        category: {
+          type: 'keyword',
+          fields: {
+            keyword: { type: 'keyword' }
+          }
+        },
+        // ['company', 'careers']: a terms aggregation counts each category with its children
+        category_path: { type: 'keyword' },
+        breadcrumb: { type: 'keyword' },
+        author: textField({ keyword: true }),
+        publish_date: { type: 'date' },
+        read_time_minutes: { type: 'integer' },
+        tags: { type: 'keyword' },
+        speakers: textField({ keyword: true }),
+        event_date: { type: 'date' },
+        // One nested document per section / FAQ, matched with inner_hits
+        sections: {
+          type: 'nested',
+          properties: {
+            heading: textField({ shingles: true }),
+            body: textField({ shingles: true }),
+            path: { type: 'keyword', index: false },
+            level: { type: 'integer' },
+            url: { type: 'keyword', index: false }
+          }
+        },
+        faqs: {
+          type: 'nested',
+          properties: {
+            question: textField({ shingles: true }),
+            answer: textField(),
+            url: { type: 'keyword', index: false }
+          }
+        },
+        last_modified: { type: 'date' },
+        updated_at: { type: 'date' }
+      }
+    }
+  };
+}
+
+/**
+ * Whether a search-item belongs in the index. Items the scraper has
+ * unpublished (page gone from the sitemap) stay in Strapi but not in search.
+ */
+function isSearchable(attributes = {}) {
+  return attributes.search_status !== 'unpublished';
+}
+
+/**
+ * The category a search-item is indexed under: the one an editor pinned
+ * with category_override (an editor may type a label or alias, so it is
+ * mapped to its taxonomy id), else the scraper's
+ */
+function effectiveCategory(attributes = {}) {
+  const override = attributes.category_override;
+  return (override && (normalizeCategory(override) || override)) || attributes.category || '';
+}
+
+/**
+ * Page URL with a section/FAQ fragment
+ */
+function deepLink(url, anchor) {
+  return anchor ? `${url}#${anchor}` : url;
+}
+
+/**
+ * Flatten the stored section tree into nested documents, each with the
+ * headings above it as its path
+ */
+function flattenSections(sections, url, parents = []) {
+  if (!Array.isArray(sections)) return [];
+  return sections.flatMap(section => {
+    const path = section.heading ? [...parents, section.heading] : parents;
+    const own = section.heading || section.body
+      ? [{
+          heading: section.heading || '',
+          body: section.body || '',
+          path: path.join(' › '),
+          level: section.level || 0,
+          url: deepLink(url, section.anchor)
+        }]
+      : [];
+    return [...own, ...flattenSections(section.children, url, path)];
+  });
+}
+
+/**
+ * Map search-item attributes (Strapi REST attributes or a database entity)
+ * to the indexed document
+ */
+function toSearchDocument(attributes = {}) {
+  const category = effectiveCategory(attributes);
+  return {
+    url: attributes.url || '',
+    title: attributes.title || '',
+    description: attributes.description || '',
+    content: attributes.content || '',
+    page_description: attributes.page_description || '',
+    category,
+    category_path: categoryPath(category),
+    breadcrumb: Array.isArray(attributes.breadcrumb) ? attributes.breadcrumb : [],
+    author: attributes.author || null,
+    publish_date: attributes.publish_date || null,
+    read_time_minutes: attributes.read_time_minutes || null,
+    tags: Array.isArray(attributes.tags) ? attributes.tags : [],
+    speakers: Array.isArray(attributes.speakers) ? attributes.speakers : [],
+    event_date: attributes.event_date || null,
+    sections: flattenSections(attributes.sections, attributes.url || ''),
+    faqs: (Array.isArray(attributes.faqs) ? attributes.faqs : []).map(faq => ({
+      question: faq.question || '',
+      answer: faq.answer || '',
+      url: deepLink(attributes.url || '', faq.anchor)
+    })),
+    last_modified: attributes.last_modified || attributes.updatedAt || new Date().toISOString(),
+    updated_at: attributes.updatedAt || null
+  };
+}
+
+module.exports = {
+  INDEX_NAME,
+  INDEX_DEFINITION_VERSION,
+  DEFAULT_SYNONYMS_SET,
+  buildIndexDefinition,
+  toSearchDocument,
+  isSearchable,
+  effectiveCategory,
+  versionedIndexName,
+  parseIndexGeneration
+};
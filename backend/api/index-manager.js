@@ -0,0 +1,119 @@
+/**
+ * Index Manager
+ * Versioned physical indices behind the search_items alias:
+ * find what the alias points at, pick the next generation, swap the alias
+ * atomically and prune old generations
+ */
+
+const { esClient } = require('./es-client');
+const { INDEX_NAME, versionedIndexName, parseIndexGeneration } = require('./index-definition');
+
+/**
+ * Indices the search alias currently points at.
+ * Returns { indices, legacy } where legacy is true when search_items is
+ * still a concrete index from before versioning.
+ */
+async function getAliasTargets() {
+  const aliasExists = await esClient.indices.existsAlias({ name: INDEX_NAME });
+  if (aliasExists) {
+    const response = await esClient.indices.getAlias({ name: INDEX_NAME });
+    return { indices: Object.keys(response), legacy: false };
+  }
+
+  const indexExists = await esClient.indices.exists({ index: INDEX_NAME });
+  return { indices: indexExists ? [INDEX_NAME] : [], legacy: indexExists };
+}
+
+/**
+ * All versioned physical indices, oldest first
+ */
+async function listVersionedIndices() {
+  const response = await esClient.indices.get({
+    index: `${INDEX_NAME}_v*`,
+    ignore_unavailable: true,
+    allow_no_indices: true
+  });
+
+  return Object.keys(response)
+    .map(name => ({ name, generation: parseIndexGeneration(name) }))
+    .filter(index => index.generation !== null)
+    .sort((a, b) => a.generation - b.generation);
+}
+
+/**
+ * Name for the next physical index (one past the highest existing generation)
+ */
+async function nextIndexName() {
+  const indices = await listVersionedIndices();
+  const highest = indices.length > 0 ? indices[indices.length - 1].generation : 0;
+  return versionedIndexName(highest + 1);
+}
+
+/**
+ * Point the alias at targetIndex in a single atomic update.
+ * A legacy concrete search_items index is removed in the same request,
+ * since an alias cannot share its name with an index.
+ */
+async function swapAlias(targetIndex) {
+  const { indices, legacy } = await getAliasTargets();
+  const actions = [];
+
+  if (legacy) {
+    console.warn(`[Elasticsearch] ⚠ Replacing legacy concrete index '${INDEX_NAME}' with an alias. It cannot be rolled back to.`);
+    actions.push({ remove_index: { index: INDEX_NAME } });
+  } else {
+    for (const index of indices) {
+      if (index !== targetIndex) {
+        actions.push({ remove: { index, alias: INDEX_NAME } });
+      }
+    }
+  }
+  actions.push({ add: { index: targetIndex, alias: INDEX_NAME } });
+
+  await esClient.indices.updateAliases({ actions });
+  console.log(`[Elasticsearch] ✓ Alias '${INDEX_NAME}' now points to '${targetIndex}'`);
+
+  return { previous: legacy ? null : (indices.find(index => index !== targetIndex) || null), current: targetIndex };
+}
+
+/**
+ * Delete every versioned index except the current one and the one it
+ * replaced, so rollbackIndex() always has somewhere to go
+ */
+async function pruneIndices(currentIndex, previousIndex = null) {
+  const keep = new Set([currentIndex, previousIndex].filter(Boolean));
+  const toDelete = (await listVersionedIndices())
+    .map(index => index.name)
+    .filter(name => !keep.has(name));
+
+  for (const index of toDelete) {
+    await esClient.indices.delete({ index });
+    console.log(`[Elasticsearch] Deleted old index '${index}'`);
+  }
+
+  return toDelete;
+}
+
+/**
+ * The newest generation older than the one the alias points at
+ */
+async function findPreviousIndex() {
+  const { indices } = await getAliasTargets();
+  const currentGeneration = Math.max(...indices.map(parseIndexGeneration).filter(g => g !== null));
+  if (!Number.isFinite(currentGeneration)) {
+    return null;
+  }
+
+  const older = (await listVersionedIndices())
+    .filter(index => index.generation < currentGeneration);
+  return older.length > 0 ? older[older.length - 1].name : null;
+}
+
+module.exports = {
+  getAliasTargets,
+  listVersionedIndices,
+  nextIndexName,
+  swapAlias,
+  pruneIndices,
+  findPreviousIndex
+};
@@ -0,0 +1,222 @@
+/**
+ * LLM Provider Layer
+ * Chat-completion providers behind one interface so the AI service can run
+ * against Groq, any OpenAI-compatible endpoint, or a deterministic local stub
+ *
+ * Every provider exposes complete(messages, options) and resolves to an
+ * OpenAI-style completion: { choices: [{ message: { content } }] }
+ */
+
+const axios = require('axios');
+const { understandQueryWithRules } = require('./query-rules');
+const { getDictionary } = require('./dictionary-store');
+
+const PROVIDERS = ['groq', 'openai', 'local'];
+
+/**
+ * Wrap plain text in an OpenAI-style completion object
+ */
+function toCompletion(content) {
+  return {
+    choices: [
+      {
+        message: { role: 'assistant', content }
+      }
+    ]
+  };
+}
+
+/**
+ * Groq provider (groq-sdk)
+ */
+function createGroqProvider() {
+  const apiKey = process.env.GROQ_API_KEY || '';
+  const model = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+  let client = null;
+
+  return {
+    name: 'groq',
+    model,
+    isConfigured: () => Boolean(apiKey),
+    async complete(messages, options = {}) {
+      if (!apiKey) {
+        throw new Error('GROQ_API_KEY not configured');
+      }
+
+      if (!client) {
+        const Groq = require('groq-sdk');
+        client = new Groq({ apiKey });
+      }
+
+      return client.chat.completions.create({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.4,
+        max_tokens: options.max_tokens,
+        response_format: options.response_format
+      });
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible HTTP provider (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio...)
+ */
+function createOpenAIProvider() {
+  const baseUrl = (process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '';
+  // Self-hosted servers (Ollama, vLLM, LM Studio) usually need no key; OpenAI itself does
+  const needsKey = !process.env.LLM_API_URL || /(^|\.)openai\.com/i.test(new URL(baseUrl).hostname);
+  const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+  const timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+
+  return {
+    name: 'openai',
+    model,
+    isConfigured: () => Boolean(apiKey) || !needsKey,
+    async complete(messages, options = {}) {
+      if (!apiKey && needsKey) {
+        throw new Error('LLM_API_KEY not configured');
+      }
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const body = {
+        model,
+        messages,
+        temperature: options.temperature ?? 0.4
+      };
+      if (options.max_tokens) {
+        body.max_tokens = options.max_tokens;
+      }
+      if (options.response_format) {
+        body.response_format = options.response_format;
+      }
+
+      const response = await axios.post(`${baseUrl}/chat/completions`, body, {
+        headers,
+        timeout
+      });
+
+      return response.data;
+    }
+  };
+}
+
+/**
+ * Split a query into lowercase terms
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9&/]+/)
+    .filter(t => t.length > 0);
+}
+
+/**
+ * Deterministic answers for the local provider, keyed by task name.
+ * Each handler receives the structured input the AI service passes along
+ * with the prompt and returns a string (JSON for json_object tasks).
+ */
+const LOCAL_TASKS = {
+  'understand-query': ({ query }) => {
+    const { confidence, ...understanding } = understandQueryWithRules(query, getDictionary());
+    return JSON.stringify(understanding);
+  },
+
+  'suggestions': ({ query, results = [] }) => {
+    const terms = tokenize(query);
+    const suggestions = results
+      .map(r => r.title || '')
+      .filter(title => {
+        const lower = title.toLowerCase();
+        return title && terms.some(t => lower.includes(t));
+      });
+    return JSON.stringify({ suggestions: [...new Set(suggestions)].slice(0, 6) });
+  },
+
+  'overview': ({ query, results = [] }) => {
+    const titles = results.slice(0, 3).map(r => r.title).filter(Boolean);
+    if (titles.length === 0) {
+      return '';
+    }
+    const list = titles.length > 1
+      ? `${titles.slice(0, -1).join(', ')} and ${titles[titles.length - 1]}`
+      : titles[0];
+    return `Results for "${query}" include ${list}.`;
+  },
+
+  'rank-results': ({ query, results = [] }) => {
+    const terms = tokenize(query);
+    const scored = results.map((r, index) => {
+      const title = (r.title || '').toLowerCase();
+      const body = `${r.description || ''} ${r.content || ''}`.toLowerCase();
+      const score = terms.reduce((sum, t) =>
+        sum + (title.includes(t) ? 2 : 0) + (body.includes(t) ? 1 : 0), 0);
+      return { index, score };
+    });
+    // Stable sort: equal scores keep the Elasticsearch order
+    scored.sort((a, b) => b.score - a.score || a.index - b.index);
+    return JSON.stringify({ rankedIndices: scored.map(s => s.index) });
+  }
+};
+
+/**
+ * Local/offline provider - no network, same input always gives the same output
+ */
+function createLocalProvider() {
+  return {
+    name: 'local',
+    model: 'local-rules',
+    isConfigured: () => true,
+    async complete(messages, options = {}) {
+      const handler = LOCAL_TASKS[options.task];
+      if (!handler) {
+        const isJson = options.response_format?.type === 'json_object';
+        return toCompletion(isJson ? '{}' : '');
+      }
+      return toCompletion(handler(options.input || {}));
+    }
+  };
+}
+
+/**
+ * Pick the provider name from LLM_PROVIDER, falling back to whatever is configured
+ */
+function resolveProviderName() {
+  const explicit = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (explicit) {
+    if (!PROVIDERS.includes(explicit)) {
+      throw new Error(`Unknown LLM_PROVIDER "${explicit}". Expected one of: ${PROVIDERS.join(', ')}`);
+    }
+    return explicit;
+  }
+  if (process.env.GROQ_API_KEY) return 'groq';
+  if (process.env.LLM_API_URL) return 'openai';
+  return 'local';
+}
+
+/**
+ * Create a provider by name
+ */
+function createProvider(name = resolveProviderName()) {
+  switch (name) {
+    case 'groq':
+      return createGroqProvider();
+    case 'openai':
+      return createOpenAIProvider();
+    case 'local':
+      return createLocalProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${name}"`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  resolveProviderName,
+  toCompletion
+};
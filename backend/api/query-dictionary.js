@@ -0,0 +1,180 @@
+/**
+ * Query Dictionary
+ * Structured domain knowledge (service lines, abbreviations, synonyms and
+ * category words) shared by the LLM prompts and the rule-based query engine
+ */
+
+const { normalizeCategory } = require('./taxonomy');
+
+const DEFAULT_DICTIONARY = {
+  company: 'i2e Consulting is a pharmaceutical consulting company',
+
+  services: [
+    'Strategic Portfolio Management (SPM)',
+    'Clinical Data Management (CDM)',
+    'Clinical Research Organization (CRO) services',
+    'Electronic Data Capture (EDC)',
+    'Clinical Trial Management Systems (CTMS)',
+    'Business Intelligence and Analytics',
+    'Planisware (PPM) implementation',
+    'Resource Management',
+    'Project Management'
+  ],
+
+  abbreviations: [
+    { term: 'SPM', expansion: 'Strategic Portfolio Management' },
+    { term: 'CDM', expansion: 'Clinical Data Management' },
+    { term: 'CRO', expansion: 'Clinical Research Organization' },
+    { term: 'EDC', expansion: 'Electronic Data Capture' },
+    { term: 'CTMS', expansion: 'Clinical Trial Management System' },
+    { term: 'PPM', expansion: 'Planisware Portfolio Management' },
+    { term: 'BI', expansion: 'Business Intelligence' },
+    { term: 'IT', expansion: 'Information Technology' },
+    { term: 'AI/ML', expansion: 'Artificial Intelligence/Machine Learning' },
+    { term: 'R&D', expansion: 'Research and Development' },
+    { term: 'PMO', expansion: 'Project Management Office' },
+    { term: 'HR', expansion: 'Human Resources' }
+  ],
+
+  // Synonym groups; a group with a category also marks its words as category words
+  synonyms: [
+    { term: 'Services', synonyms: ['Offerings', 'Solutions', 'What we provide'], category: 'services' },
+    { term: 'Careers', synonyms: ['Jobs', 'Positions', 'Openings', 'Hiring'], category: 'careers' },
+    { term: 'Technologies', synonyms: ['Tech', 'Tools', 'Platforms'], category: 'technologies' },
+    { term: 'Partners', synonyms: ['Partnerships', 'Alliances', 'Collaborations'], category: 'partners' },
+    { term: 'Solutions', synonyms: ['Products', 'Services'], category: 'solutions' },
+    { term: 'People', synonyms: ['Our Experts', 'Team', 'Employees'], category: 'people' },
+    { term: 'About Us', synonyms: ['About', 'Company Information'], category: 'about-us' }
+  ],
+
+  // Words that name a content type but have no synonyms worth sending to the LLM
+  categoryTerms: [
+    { category: 'blogs', terms: ['blog', 'blogs', 'article', 'articles', 'post', 'posts'] },
+    { category: 'case-studies', terms: ['case study', 'case studies', 'case-study', 'case-studies'] },
+    { category: 'whitepaper', terms: ['whitepaper', 'whitepapers', 'white paper', 'white papers'] },
+    { category: 'webinar', terms: ['webinar', 'webinars'] },
+    { category: 'news', terms: ['news', 'press release', 'press releases'] },
+    { category: 'events', terms: ['event', 'events'] }
+  ]
+};
+
+/**
+ * Render the dictionary as the domain context block used in LLM prompts
+ */
+function buildPharmaContext(dictionary = DEFAULT_DICTIONARY) {
+  const services = dictionary.services.map(s => `- ${s}`).join('\n');
+  const abbreviations = dictionary.abbreviations
+    .map(a => `- ${a.term}: ${a.expansion}`)
+    .join('\n');
+  const synonyms = dictionary.synonyms
+    .map(g => `- ${g.term} = ${g.synonyms.join(', ')}`)
+    .join('\n');
+
+  return `
+${dictionary.company} specializing in:
+${services}
+
+Common abbreviations:
+${abbreviations}
+
+Common synonyms:
+${synonyms}
+`;
+}
+
+/**
+ * Overlay Strapi search-term entries on a base dictionary.
+ * Entries replace built-in ones with the same term; a disabled entry removes it.
+ */
+function mergeDictionaryTerms(base, entries = []) {
+  const dictionary = {
+    company: base.company,
+    services: [...base.services],
+    abbreviations: base.abbreviations.map(a => ({ ...a })),
+    synonyms: base.synonyms.map(g => ({ ...g, synonyms: [...g.synonyms] })),
+    categoryTerms: base.categoryTerms.map(c => ({ ...c, terms: [...c.terms] }))
+  };
+
+  const sameTerm = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+  const toList = (value) => Array.isArray(value)
+    ? value.filter(v => typeof v === 'string' && v.trim().length > 0).map(v => v.trim())
+    : [];
+
+  for (const entry of entries) {
+    const term = (entry.term || '').trim();
+    if (!term) continue;
+    const enabled = entry.enabled !== false;
+
+    switch (entry.type) {
+      case 'abbreviation': {
+        dictionary.abbreviations = dictionary.abbreviations.filter(a => !sameTerm(a.term, term));
+        if (enabled && entry.expansion) {
+          dictionary.abbreviations.push({ term, expansion: entry.expansion.trim() });
+        }
+        break;
+      }
+      case 'synonym': {
+        dictionary.synonyms = dictionary.synonyms.filter(g => !sameTerm(g.term, term));
+        if (enabled && toList(entry.synonyms).length > 0) {
+          dictionary.synonyms.push({
+            term,
+            synonyms: toList(entry.synonyms),
+            category: normalizeCategory(entry.category) || undefined
+          });
+        }
+        break;
+      }
+      case 'category': {
+        const category = normalizeCategory(entry.category);
+        if (!category) break;
+        const words = [term, ...toList(entry.synonyms)];
+        dictionary.categoryTerms = dictionary.categoryTerms.map(c => ({
+          ...c,
+          terms: c.terms.filter(t => !words.some(w => sameTerm(w, t)))
+        }));
+        if (enabled) {
+          dictionary.categoryTerms.push({ category, terms: words });
+        }
+        break;
+      }
+      case 'service': {
+        dictionary.services = dictionary.services.filter(s => !sameTerm(s, term));
+        if (enabled) {
+          dictionary.services.push(term);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return dictionary;
+}
+
+/**
+ * Build Elasticsearch synonym rules ("spm, strategic portfolio management")
+ * from abbreviations and synonym groups
+ */
+function buildSynonymRules(dictionary = DEFAULT_DICTIONARY) {
+  const rules = [];
+
+  for (const { term, expansion } of dictionary.abbreviations) {
+    rules.push([term, expansion]);
+  }
+  for (const group of dictionary.synonyms) {
+    rules.push([group.term, ...group.synonyms]);
+  }
+
+  return rules.map((words, index) => ({
+    id: `rule-${index + 1}`,
+    synonyms: [...new Set(words.map(w => w.toLowerCase().replace(/,/g, ' ').trim()))].join(', ')
+  }));
+}
+
+module.exports = {
+  DEFAULT_DICTIONARY,
+  buildPharmaContext,
+  mergeDictionaryTerms,
+  buildSynonymRules
+};
@@ -0,0 +1,281 @@
+/**
+ * Rule-Based Query Understanding
+ * Deterministic counterpart of understandQuery: expands abbreviations,
+ * resolves synonyms, detects explicit category words and fixes obvious typos
+ * using the query dictionary. Serves as the fallback when the LLM is down and
+ * as a fast path for queries it fully understands.
+ */
+
+const { DEFAULT_DICTIONARY } = require('./query-dictionary');
+
+// Connector words that carry no search meaning ("blogs about PPM", "services related to SPM")
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'for', 'to', 'at', 'by', 'with',
+  'about', 'related', 'regarding', 'around', 'from', 'any', 'all', 'some',
+  'show', 'me', 'find', 'list', 'get', 'give', 'see', 'i', 'i2e', 'your', 'you'
+]);
+
+const QUESTION_WORDS = new Set([
+  'who', 'what', 'how', 'why', 'when', 'where', 'which',
+  'is', 'are', 'does', 'do', 'can', 'should'
+]);
+
+/**
+ * Split a query into word tokens, keeping "R&D" and "AI/ML" intact
+ */
+function tokenize(query) {
+  return query
+    .split(/\s+/)
+    .map(word => word.replace(/^[^\w&/]+|[^\w&/]+$/g, ''))
+    .filter(word => word.length > 0);
+}
+
+/**
+ * Levenshtein distance with an early exit once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Build phrase and vocabulary lookups from a dictionary.
+ * Compiled indexes are cached per dictionary object.
+ */
+const compiledIndexes = new WeakMap();
+
+function compileDictionary(dictionary) {
+  if (compiledIndexes.has(dictionary)) {
+    return compiledIndexes.get(dictionary);
+  }
+
+  // phrase (lowercase, space-joined tokens) -> { category, abbreviation, group }
+  const phrases = new Map();
+  const vocabulary = new Set();
+  let maxPhraseLength = 1;
+
+  const entryFor = (phrase) => {
+    const key = tokenize(phrase.toLowerCase()).join(' ');
+    if (!phrases.has(key)) {
+      phrases.set(key, {});
+    }
+    maxPhraseLength = Math.max(maxPhraseLength, key.split(' ').length);
+    return phrases.get(key);
+  };
+
+  const addVocabulary = (text) => {
+    tokenize(text.toLowerCase())
+      .filter(word => word.length >= 4 && /^[a-z]+$/.test(word))
+      .forEach(word => vocabulary.add(word));
+  };
+
+  for (const { term, expansion } of dictionary.abbreviations || []) {
+    entryFor(term).abbreviation = expansion;
+    addVocabulary(expansion);
+  }
+
+  for (const group of dictionary.synonyms || []) {
+    for (const word of [group.term, ...group.synonyms]) {
+      const entry = entryFor(word);
+      // The group whose head term matches wins ("solutions" -> solutions, not services)
+      if (!entry.group || word === group.term) {
+        entry.group = group;
+      }
+      if (group.category && (!entry.category || word === group.term)) {
+        entry.category = group.category;
+      }
+      addVocabulary(word);
+    }
+  }
+
+  for (const { category, terms } of dictionary.categoryTerms || []) {
+    for (const term of terms) {
+      entryFor(term).category = category;
+      addVocabulary(term);
+    }
+  }
+
+  (dictionary.services || []).forEach(addVocabulary);
+
+  const compiled = { phrases, vocabulary, maxPhraseLength };
+  compiledIndexes.set(dictionary, compiled);
+  return compiled;
+}
+
+/**
+ * Suggest a dictionary word for a likely misspelling, or null
+ */
+function correctSpelling(word, vocabulary) {
+  const lower = word.toLowerCase();
+  if (lower.length < 5 || !/^[a-z]+$/.test(lower) || vocabulary.has(lower)) {
+    return null;
+  }
+
+  const maxDistance = lower.length >= 8 ? 2 : 1;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const candidate of vocabulary) {
+    const distance = editDistance(lower, candidate, maxDistance);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Understand a query using only the dictionary.
+ * Returns the same shape as understandQuery plus a confidence between 0 and 1.
+ */
+function understandQueryWithRules(query, dictionary = DEFAULT_DICTIONARY) {
+  const empty = {
+    intent: 'search',
+    category: null,
+    keywords: [],
+    correctedQuery: null,
+    expandedTerms: [],
+    synonyms: [],
+    didYouMean: null,
+    confidence: 1
+  };
+
+  if (!query || query.trim().length === 0) {
+    return empty;
+  }
+
+  const { phrases, vocabulary, maxPhraseLength } = compileDictionary(dictionary);
+  const tokens = tokenize(query.trim());
+
+  const keywords = [];
+  const expandedTerms = [];
+  const synonyms = [];
+  const correctedTokens = [];
+  let category = null;
+  let recognized = 0;
+  let corrected = false;
+
+  let i = 0;
+  while (i < tokens.length) {
+    // Longest dictionary phrase starting at this token
+    let match = null;
+    for (let n = Math.min(maxPhraseLength, tokens.length - i); n >= 1; n--) {
+      const phrase = tokens.slice(i, i + n).join(' ').toLowerCase();
+      // "about" in "blogs about PPM" is a connector, not the "About Us" page
+      const isConnector = n === 1 && tokens.length > 1 && STOP_WORDS.has(phrase);
+      if (phrases.has(phrase) && !isConnector) {
+        match = { phrase: tokens.slice(i, i + n).join(' '), entry: phrases.get(phrase), length: n };
+        break;
+      }
+    }
+
+    if (match) {
+      const { entry } = match;
+      recognized += match.length;
+      correctedTokens.push(match.phrase);
+
+      if (entry.abbreviation) {
+        keywords.push(match.phrase);
+        expandedTerms.push(entry.abbreviation);
+      } else if (entry.category) {
+        category = category || entry.category;
+      } else {
+        keywords.push(match.phrase);
+      }
+
+      if (entry.group) {
+        const matched = match.phrase.toLowerCase();
+        if (entry.category) {
+          // Category words only contribute their canonical name ("jobs" -> "Careers")
+          if (entry.group.term.toLowerCase() !== matched) {
+            synonyms.push(entry.group.term);
+          }
+        } else {
+          [entry.group.term, ...entry.group.synonyms]
+            .filter(word => word.toLowerCase() !== matched)
+            .slice(0, 4)
+            .forEach(word => synonyms.push(word));
+        }
+      }
+
+      i += match.length;
+      continue;
+    }
+
+    const token = tokens[i];
+    const lower = token.toLowerCase();
+
+    if (STOP_WORDS.has(lower) || QUESTION_WORDS.has(lower)) {
+      recognized++;
+      correctedTokens.push(token);
+    } else if (vocabulary.has(lower)) {
+      recognized++;
+      keywords.push(token);
+      correctedTokens.push(token);
+    } else {
+      const suggestion = correctSpelling(token, vocabulary);
+      if (suggestion) {
+        corrected = true;
+        recognized++;
+        keywords.push(suggestion);
+        correctedTokens.push(suggestion);
+      } else {
+        keywords.push(token);
+        correctedTokens.push(token);
+      }
+    }
+    i++;
+  }
+
+  const firstWord = tokens[0].toLowerCase();
+  const isQuestion = query.trim().endsWith('?') || (QUESTION_WORDS.has(firstWord) && tokens.length > 1);
+
+  let intent = 'search';
+  if (isQuestion) {
+    intent = 'question';
+  } else if (category && keywords.length === 0) {
+    intent = 'category-only';
+  } else if (category) {
+    intent = 'category-keyword';
+  }
+
+  let confidence = tokens.length > 0 ? recognized / tokens.length : 1;
+  if (corrected) {
+    confidence = Math.min(confidence, 0.7);
+  }
+  if (intent === 'question') {
+    // Natural-language questions are better left to the LLM
+    confidence = Math.min(confidence, 0.6);
+  }
+
+  const correctedQuery = corrected ? correctedTokens.join(' ') : null;
+
+  return {
+    intent,
+    category: intent === 'category-keyword' || intent === 'category-only' ? category : null,
+    keywords,
+    correctedQuery,
+    expandedTerms: [...new Set(expandedTerms)],
+    synonyms: [...new Set(synonyms)],
+    didYouMean: correctedQuery,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+module.exports = {
+  understandQueryWithRules,
+  tokenize
+};
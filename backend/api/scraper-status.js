@@ -0,0 +1,41 @@
+/**
+ * Scraper Status
+ * Reads the status file the scraper's scheduler writes after every run
+ * (scraper/cli.js schedule) so /health can show when the last crawl failed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATUS_FILE = process.env.SCRAPER_STATUS_FILE || path.join(__dirname, '../../scraper/.crawl-state/scheduler-status.json');
+
+/**
+ * Last scheduled crawl, or { status: 'unknown' } if the scheduler hasn't run.
+ * status is 'failed' while the most recent run is a failure.
+ */
+function getScraperStatus() {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Scraper Status] ⚠ Could not read ${STATUS_FILE}: ${error.message}`);
+    }
+    return { status: 'unknown' };
+  }
+
+  const lastRun = saved.lastRun || null;
+  return {
+    status: lastRun ? lastRun.status : 'unknown',
+    running: Boolean(saved.running),
+    schedule: saved.schedule || null,
+    lastRun,
+    lastSuccessAt: saved.lastSuccess?.finishedAt || null,
+    lastFailure: saved.lastFailure || null,
+    consecutiveFailures: saved.consecutiveFailures || 0
+  };
+}
+
+module.exports = {
+  getScraperStatus
+};
@@ -0,0 +1,134 @@
+/**
+ * Search Filters
+ * Parses the /search parameters that filter on article and webinar details
+ * (author, tags, speakers, publish/event dates, read time) and turns them
+ * into Elasticsearch filter clauses
+ */
+
+// Date range parameters and the field each one filters
+const DATE_RANGES = [
+  { field: 'publish_date', from: 'publishedFrom', to: 'publishedTo' },
+  { field: 'event_date', from: 'eventFrom', to: 'eventTo' }
+];
+
+// Facet aggregations returned with search results
+const FACET_FIELDS = {
+  tags: 'tags',
+  authors: 'author.keyword',
+  speakers: 'speakers.keyword'
+};
+const FACET_SIZE = 20;
+
+function listParam(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read filters from the query string: { filters } or { error }.
+ * tag and speaker may repeat (or be comma-separated); every one must match.
+ */
+function parseSearchFilters(query = {}) {
+  const filters = {};
+
+  if (query.author !== undefined && String(query.author).trim()) {
+    filters.author = String(query.author).trim();
+  }
+  const tags = listParam(query.tag);
+  if (tags.length > 0) {
+    filters.tags = tags;
+  }
+  const speakers = listParam(query.speaker);
+  if (speakers.length > 0) {
+    filters.speakers = speakers;
+  }
+
+  for (const range of DATE_RANGES) {
+    for (const param of [range.from, range.to]) {
+      if (query[param] === undefined || query[param] === '') continue;
+      if (Number.isNaN(new Date(query[param]).getTime())) {
+        return { error: `${param} must be a date (e.g. 2024-05-01 or an ISO timestamp)` };
+      }
+      filters[param] = new Date(query[param]).toISOString();
+    }
+  }
+
+  if (query.maxReadTime !== undefined && query.maxReadTime !== '') {
+    const minutes = parseInt(query.maxReadTime, 10);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return { error: 'maxReadTime must be a positive number of minutes' };
+    }
+    filters.maxReadTime = minutes;
+  }
+
+  return { filters };
+}
+
+function hasSearchFilters(filters = {}) {
+  return Object.keys(filters).length > 0;
+}
+
+/**
+ * Elasticsearch filter clauses for parsed filters
+ */
+function buildFilterClauses(filters = {}) {
+  const clauses = [];
+
+  if (filters.author) {
+    clauses.push({ term: { 'author.keyword': filters.author } });
+  }
+  for (const tag of filters.tags || []) {
+    clauses.push({ term: { tags: tag } });
+  }
+  for (const speaker of filters.speakers || []) {
+    clauses.push({ term: { 'speakers.keyword': speaker } });
+  }
+  for (const range of DATE_RANGES) {
+    if (filters[range.from] || filters[range.to]) {
+      clauses.push({
+        range: {
+          [range.field]: {
+            ...(filters[range.from] ? { gte: filters[range.from] } : {}),
+            ...(filters[range.to] ? { lte: filters[range.to] } : {})
+          }
+        }
+      });
+    }
+  }
+  if (filters.maxReadTime) {
+    clauses.push({ range: { read_time_minutes: { lte: filters.maxReadTime } } });
+  }
+
+  return clauses;
+}
+
+/**
+ * Terms aggregations for the filter facets
+ */
+function buildFacetAggregations() {
+  return Object.fromEntries(
+    Object.entries(FACET_FIELDS).map(([name, field]) => [name, { terms: { field, size: FACET_SIZE } }])
+  );
+}
+
+/**
+ * { tags: [{ value, count }], authors: [...], speakers: [...] } from an aggregation response
+ */
+function readFacets(aggregations = {}) {
+  return Object.fromEntries(
+    Object.keys(FACET_FIELDS).map(name => [
+      name,
+      (aggregations[name]?.buckets || []).map(bucket => ({ value: bucket.key, count: bucket.doc_count }))
+    ])
+  );
+}
+
+module.exports = {
+  parseSearchFilters,
+  hasSearchFilters,
+  buildFilterClauses,
+  buildFacetAggregations,
+  readFacets
+};
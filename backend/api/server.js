@@ -1,5 +1,6 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 function findRootEnv() {
   let currentPath = __dirname;
@@ -22,21 +23,45 @@ const envPath = findRootEnv();
 require('dotenv').config({ path: envPath });
 const express = require('express');
 const cors = require('cors');
-const { Client } = require('@elastic/elasticsearch');
+const { ELASTICSEARCH_URL, esClient } = require('./es-client');
 const axios = require('axios');
 const {
   understandQuery,
   generateSuggestions,
   generateOverview,
   rankResults,
-  buildElasticsearchQuery
+  buildElasticsearchQuery,
+  getLLMInfo
 } = require('./ai-service');
+const { understandQueryWithRules } = require('./query-rules');
+const {
+  getDictionary,
+  getDictionaryStatus,
+  onDictionaryChange,
+  loadDictionary,
+  startDictionaryRefresh
+} = require('./dictionary-store');
+const { INDEX_NAME } = require('./index-definition');
+const {
+  parseSyncRequest,
+  startSyncJob,
+  getSyncJob,
+  listSyncJobs
+} = require('./sync-jobs');
+const { getScraperStatus } = require('./scraper-status');
+const { CATEGORIES, normalizeCategory, categoryTree, describeTaxonomy } = require('./taxonomy');
+const {
+  parseSearchFilters,
+  hasSearchFilters,
+  buildFilterClauses,
+  buildFacetAggregations,
+  readFacets
+} = require('./search-filters');
 
 const app = express();
 const PORT = process.env.API_PORT || 3001;
 const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1400';
 const STRAPI_API_KEY_RAW = process.env.STRAPI_API_KEY || '';
-const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
 
 // Clean API key (remove whitespace, quotes, etc.)
 function getCleanApiKey() {
@@ -45,19 +70,7 @@ function getCleanApiKey() {
 }
 
 const STRAPI_API_KEY = getCleanApiKey();
-
-const esClientConfig = {
-  node: ELASTICSEARCH_URL,
-};
-
-if (process.env.ELASTICSEARCH_USERNAME && process.env.ELASTICSEARCH_PASSWORD) {
-  esClientConfig.auth = {
-    username: process.env.ELASTICSEARCH_USERNAME,
-    password: process.env.ELASTICSEARCH_PASSWORD,
-  };
-}
-
-const esClient = new Client(esClientConfig);
+const ADMIN_API_TOKEN = (process.env.ADMIN_API_TOKEN || '').trim();
 
 // Middleware
 app.use(cors());
@@ -84,7 +97,7 @@ app.get('/suggest', async (req, res) => {
     );
     
     const esResponse = await esClient.search({
-      index: 'search_items',
+      index: INDEX_NAME,
       size: 5,
       query: esQuery
     });
@@ -143,19 +156,54 @@ app.get('/suggest', async (req, res) => {
   }
 });
 
+/**
+ * Best matching section of a hit ({ heading, path, url, snippet }), or null
+ */
+function matchedSection(hit) {
+  const inner = hit.inner_hits?.sections?.hits?.hits?.[0];
+  if (!inner?._source?.heading) return null;
+  return {
+    heading: inner._source.heading,
+    path: inner._source.path || '',
+    url: inner._source.url || '',
+    snippet: inner.highlight?.['sections.body']?.[0] || ''
+  };
+}
+
+/**
+ * Best matching FAQ of a hit ({ question, answer, url }), or null
+ */
+function matchedFaq(hit) {
+  const inner = hit.inner_hits?.faqs?.hits?.hits?.[0];
+  if (!inner?._source?.question) return null;
+  return {
+    question: inner._source.question,
+    answer: inner._source.answer || '',
+    url: inner._source.url || ''
+  };
+}
+
 /**
  * GET /search - AI-powered search with overview and ranking
  */
 app.get('/search', async (req, res) => {
   try {
     const query = req.query.q || '';
-    const category = req.query.category || '';
+    // Any id, label or alias of a taxonomy category (see /categories)
+    const category = req.query.category ? normalizeCategory(req.query.category) : '';
+    if (category === null) {
+      return res.status(400).json({ error: `Unknown category: ${req.query.category}`, results: [], total: 0 });
+    }
     const page = parseInt(req.query.page) || 1;
     const pageSize = parseInt(req.query.pageSize) || 10;
     const from = (page - 1) * pageSize;
+    const { filters, error: filterError } = parseSearchFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError, results: [], total: 0 });
+    }
     
-    // Allow empty query if category is specified (for category-only navigation)
-    if (!query && !category) {
+    // Allow empty query if category or a filter is specified (for category-only navigation)
+    if (!query && !category && !hasSearchFilters(filters)) {
       return res.json({ 
         results: [], 
         total: 0, 
@@ -172,16 +220,9 @@ app.get('/search', async (req, res) => {
       understanding = await understandQuery(query);
     } catch (aiError) {
       console.error('[Search] Error in AI understanding:', aiError.message);
-      // Fallback understanding
-      understanding = {
-        intent: 'search',
-        category: null,
-        keywords: query.split(/\s+/).filter(w => w.length > 0),
-        correctedQuery: null,
-        expandedTerms: [],
-        synonyms: [],
-        didYouMean: null
-      };
+      // Fallback understanding from the rule-based engine
+      const { confidence, ...ruleUnderstanding } = understandQueryWithRules(query, getDictionary());
+      understanding = ruleUnderstanding;
     }
     
     // Only use detected category if intent explicitly indicates category search
@@ -193,13 +234,19 @@ app.get('/search', async (req, res) => {
     
     // Build Elasticsearch query using AI understanding
     const esQuery = buildElasticsearchQuery(understanding, targetCategory);
+    const filterClauses = buildFilterClauses(filters);
+    if (filterClauses.length > 0) {
+      esQuery.bool.filter = filterClauses;
+    }
     
     // Execute search
     const response = await esClient.search({
-      index: 'search_items',
+      index: INDEX_NAME,
       size: Math.min(pageSize * 2, 100), // Get more results for AI ranking
       from: from,
       query: esQuery,
+      // Matching sections/FAQs come back as inner_hits; the full lists aren't needed
+      _source: { excludes: ['sections', 'faqs'] },
       sort: [
         '_score',
         { last_modified: { order: 'desc' } }
@@ -222,7 +269,15 @@ app.get('/search', async (req, res) => {
       page_description: hit._source?.page_description || '', // Full page content for smart summaries
       category: hit._source?.category || '',
       last_modified: hit._source?.last_modified || '',
-      score: hit._score
+      author: hit._source?.author || null,
+      publish_date: hit._source?.publish_date || null,
+      read_time_minutes: hit._source?.read_time_minutes || null,
+      tags: hit._source?.tags || [],
+      speakers: hit._source?.speakers || [],
+      event_date: hit._source?.event_date || null,
+      score: hit._score,
+      section: matchedSection(hit),
+      faq: matchedFaq(hit)
     }));
     
     // Use AI to rank results by relevance
@@ -254,11 +309,13 @@ app.get('/search', async (req, res) => {
       }
     }
     
-    // Get category counts using aggregations
+    // Get category counts (flat and nested) and filter facets using aggregations
     let categoryCounts = {};
+    let nestedCategoryCounts = categoryTree();
+    let facets = readFacets();
     try {
       const aggResponse = await esClient.search({
-        index: 'search_items',
+        index: INDEX_NAME,
         size: 0,
         query: esQuery,
         aggs: {
@@ -267,7 +324,15 @@ app.get('/search', async (req, res) => {
               field: 'category',
               size: 20
             }
-          }
+          },
+          // Each category with its subcategories, for the category tree
+          category_paths: {
+            terms: {
+              field: 'category_path',
+              size: CATEGORIES.length
+            }
+          },
+          ...buildFacetAggregations()
         }
       });
       
@@ -291,6 +356,13 @@ app.get('/search', async (req, res) => {
         }
       }
       categoryCounts[''] = allTotal;
+
+      const pathBuckets = aggResponse.aggregations?.category_paths?.buckets ||
+                          aggResponse.body?.aggregations?.category_paths?.buckets || [];
+      nestedCategoryCounts = categoryTree(
+        Object.fromEntries(pathBuckets.map(bucket => [bucket.key, bucket.doc_count]))
+      );
+      facets = readFacets(aggResponse.aggregations || aggResponse.body?.aggregations);
     } catch (aggError) {
       console.error('[Search] Error getting category counts:', aggError.message);
     }
@@ -333,6 +405,9 @@ app.get('/search', async (req, res) => {
       results: results,
       total: total,
       categoryCounts: categoryCounts,
+      categoryTree: nestedCategoryCounts,
+      facets: facets,
+      filters: filters,
       page: page,
       pageSize: pageSize,
       totalPages: totalPages,
@@ -650,7 +725,14 @@ app.delete('/history', async (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  // A failed scheduled crawl doesn't stop search, so it only degrades health
+  const scraper = getScraperStatus();
+  res.json({
+    status: scraper.status === 'failed' ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    llm: getLLMInfo(),
+    scraper
+  });
 });
 
 // Cache statistics endpoint
@@ -673,6 +755,84 @@ app.post('/cache/clear', (req, res) => {
   });
 });
 
+/**
+ * GET /categories - The category taxonomy (ids, labels, aliases, parents),
+ * as a flat list and as a tree
+ */
+app.get('/categories', (req, res) => {
+  res.json(describeTaxonomy());
+});
+
+// Current query dictionary (built-in defaults + Strapi search terms)
+app.get('/dictionary', (req, res) => {
+  res.json({
+    success: true,
+    status: getDictionaryStatus(),
+    dictionary: getDictionary()
+  });
+});
+
+/**
+ * Require "Authorization: Bearer <ADMIN_API_TOKEN>" on admin routes.
+ * Admin routes are disabled when no token is configured.
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'Admin API disabled. Set ADMIN_API_TOKEN to enable it.' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  const expected = Buffer.from(ADMIN_API_TOKEN);
+  const provided = Buffer.from(token);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  next();
+}
+
+// Reload the query dictionary from Strapi (called by the search-term lifecycle hooks)
+app.post('/dictionary/reload', requireAdminToken, async (req, res) => {
+  const status = await loadDictionary();
+  res.json({
+    success: !status.error,
+    status
+  });
+});
+
+/**
+ * POST /admin/sync - Start a sync job
+ * Body: { mode: 'full' | 'partial' | 'reindex', category?, updatedSince?, urls? }
+ */
+app.post('/admin/sync', requireAdminToken, (req, res) => {
+  const request = parseSyncRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+
+  const { job, error, activeJob } = startSyncJob(request);
+  if (error) {
+    return res.status(409).json({ error, activeJob });
+  }
+
+  res.status(202).json({ success: true, job });
+});
+
+// Sync job history (newest first) with the currently running job
+app.get('/admin/sync/jobs', requireAdminToken, (req, res) => {
+  res.json({ success: true, ...listSyncJobs() });
+});
+
+// A single sync job with its progress
+app.get('/admin/sync/jobs/:id', requireAdminToken, (req, res) => {
+  const job = getSyncJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  res.json({ success: true, job });
+});
+
 // Test Strapi API key endpoint
 app.get('/test-strapi-key', async (req, res) => {
   try {
@@ -738,7 +898,16 @@ app.get('/test-strapi-key', async (req, res) => {
 // Initialize Elasticsearch on startup (non-blocking)
 async function startServer() {
   try {
-    const { initializeElasticsearch } = require('./elasticsearch-init');
+    const { initializeElasticsearch, updateSynonymsSet } = require('./elasticsearch-init');
+    const { clearAllCaches } = require('./ai-cache');
+
+    // Dictionary edits invalidate cached AI answers and refresh the Elasticsearch synonyms
+    onDictionaryChange(() => clearAllCaches());
+    onDictionaryChange(dictionary => updateSynonymsSet(dictionary));
+    startDictionaryRefresh().catch(error => {
+      console.error('[Server] ⚠ Could not load query dictionary:', error.message);
+    });
+
     // Initialize in background - don't block server startup
     initializeElasticsearch().catch(error => {
       console.error('[Server] ⚠ Elasticsearch initialization failed:', error.message);
@@ -754,7 +923,11 @@ async function startServer() {
     console.log(`[Server] API server running on port ${PORT}`);
     console.log(`[Server] Elasticsearch: ${ELASTICSEARCH_URL}`);
     console.log(`[Server] Strapi: ${STRAPI_URL}`);
-    console.log(`[Server] Groq API: ${process.env.GROQ_API_KEY ? 'Configured' : 'Not configured'}`);
+    const llm = getLLMInfo();
+    console.log(`[Server] LLM provider: ${llm.provider} (${llm.model}) - ${llm.configured ? 'Configured' : 'Not configured'}`);
+    if (!ADMIN_API_TOKEN) {
+      console.warn('[Server] ⚠ ADMIN_API_TOKEN is not set: admin routes are off, so Strapi search-term edits can\'t trigger POST /dictionary/reload and reach search on the 5-minute refresh instead');
+    }
   });
 }
 
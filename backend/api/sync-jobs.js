@@ -0,0 +1,203 @@
+/**
+ * Sync Jobs
+ * Runs Strapi → Elasticsearch syncs started from the admin endpoints,
+ * one at a time, and keeps a history of them on disk so operators can see
+ * when the index was last refreshed and what went wrong
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { syncStrapiToElasticsearch, reindexFromStrapi } = require('./elasticsearch-init');
+const { normalizeCategory } = require('./taxonomy');
+
+const HISTORY_FILE = process.env.SYNC_HISTORY_FILE || path.join(__dirname, '../.data/sync-history.json');
+const HISTORY_LIMIT = parseInt(process.env.SYNC_HISTORY_LIMIT) || 50;
+// Per-document failures kept with each job
+const FAILURE_LIMIT = 100;
+
+const SYNC_MODES = ['full', 'partial', 'reindex'];
+
+let jobs = loadHistory();
+let activeJob = null;
+
+/**
+ * Read job history from disk. Jobs that were running when the process
+ * stopped are marked as interrupted.
+ */
+function loadHistory() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    return (Array.isArray(saved) ? saved : []).map(job =>
+      job.status === 'running' || job.status === 'queued'
+        ? { ...job, status: 'interrupted', finishedAt: job.finishedAt || null }
+        : job
+    );
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Sync Jobs] ⚠ Could not read job history: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+function saveHistory() {
+  try {
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(jobs, null, 2));
+  } catch (error) {
+    console.warn(`[Sync Jobs] ⚠ Could not save job history: ${error.message}`);
+  }
+}
+
+/**
+ * Validate an admin sync request body.
+ * Returns { mode, filters } or { error }.
+ */
+function parseSyncRequest(body = {}) {
+  const mode = body.mode || 'full';
+  if (!SYNC_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${SYNC_MODES.join(', ')}` };
+  }
+  if (mode !== 'partial') {
+    return { mode, filters: {} };
+  }
+
+  const filters = {};
+  if (body.category !== undefined) {
+    if (typeof body.category !== 'string' || body.category.trim() === '') {
+      return { error: 'category must be a non-empty string' };
+    }
+    // Any id, label or alias of a taxonomy category, as /search accepts
+    filters.category = normalizeCategory(body.category);
+    if (!filters.category) {
+      return { error: `Unknown category: ${body.category}` };
+    }
+  }
+  if (body.updatedSince !== undefined) {
+    if (Number.isNaN(new Date(body.updatedSince).getTime())) {
+      return { error: 'updatedSince must be a date (e.g. 2024-05-01 or an ISO timestamp)' };
+    }
+    filters.updatedSince = new Date(body.updatedSince).toISOString();
+  }
+  if (body.urls !== undefined) {
+    if (!Array.isArray(body.urls) || body.urls.length === 0 || body.urls.some(url => typeof url !== 'string')) {
+      return { error: 'urls must be a non-empty array of strings' };
+    }
+    filters.urls = [...new Set(body.urls.map(url => url.trim()))];
+  }
+
+  if (Object.keys(filters).length === 0) {
+    return { error: 'partial sync needs at least one of: category, updatedSince, urls' };
+  }
+  return { mode, filters };
+}
+
+/**
+ * Job as returned by the API (URL lists are summarised)
+ */
+function describeJob(job) {
+  if (!job) return null;
+  const { urls, ...filters } = job.filters;
+  return {
+    ...job,
+    filters: urls ? { ...filters, urls: urls.length } : filters
+  };
+}
+
+async function runJob(job) {
+  const startedAt = Date.now();
+  job.status = 'running';
+  job.startedAt = new Date(startedAt).toISOString();
+  saveHistory();
+
+  const onProgress = progress => {
+    job.progress = { ...job.progress, ...progress };
+  };
+
+  try {
+    if (job.mode === 'reindex') {
+      const summary = await reindexFromStrapi({ onProgress });
+      job.result = {
+        synced: summary.documents,
+        errors: summary.errors,
+        total: summary.strapiItems,
+        index: summary.index,
+        previousIndex: summary.previous
+      };
+      job.failures = summary.failures.slice(0, FAILURE_LIMIT);
+    } else {
+      const { failures, ...result } = await syncStrapiToElasticsearch({ filters: job.filters, onProgress });
+      if (result.skipped) {
+        throw new Error(`Sync skipped: ${result.skipped}`);
+      }
+      job.result = result;
+      job.failures = failures.slice(0, FAILURE_LIMIT);
+    }
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    job.durationMs = Date.now() - startedAt;
+    activeJob = null;
+    saveHistory();
+    console.log(`[Sync Jobs] Job ${job.id} (${job.mode}) ${job.status} in ${job.durationMs}ms`);
+  }
+}
+
+/**
+ * Start a sync job in the background.
+ * Returns { job } or { error, activeJob } when another job is still running.
+ */
+function startSyncJob({ mode, filters }) {
+  if (activeJob) {
+    return { error: 'A sync job is already running', activeJob: describeJob(activeJob) };
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    mode,
+    filters,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    progress: { fetched: 0, total: null, indexed: 0, errors: 0 },
+    result: null,
+    failures: [],
+    error: null
+  };
+
+  jobs.unshift(job);
+  jobs = jobs.slice(0, HISTORY_LIMIT);
+  activeJob = job;
+  runJob(job);
+
+  return { job: describeJob(job) };
+}
+
+function getSyncJob(id) {
+  return describeJob(jobs.find(job => job.id === id));
+}
+
+/**
+ * Recent jobs, newest first, plus the last one that completed
+ */
+function listSyncJobs() {
+  return {
+    active: describeJob(activeJob),
+    lastCompleted: describeJob(jobs.find(job => job.status === 'completed')),
+    jobs: jobs.map(describeJob)
+  };
+}
+
+module.exports = {
+  SYNC_MODES,
+  parseSyncRequest,
+  startSyncJob,
+  getSyncJob,
+  listSyncJobs
+};
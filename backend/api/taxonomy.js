@@ -0,0 +1,140 @@
+/**
+ * Category Taxonomy
+ * The one list of page categories. Each has the id that the scraper stores
+ * and the index filters on, a display label, aliases (other spellings found
+ * in older data, editor input, LLM output and URLs) and an optional parent.
+ * Parents group related categories; a page may also be filed under a parent
+ * directly (older items use 'company'), and filtering on a parent includes
+ * its children.
+ *
+ * Served by GET /categories for the frontend; the scraper's category rules
+ * are checked against it. Keep this module free of dependencies so the
+ * scraper can require it directly.
+ */
+
+// Bump when ids, labels or the hierarchy change
+const TAXONOMY_VERSION = 1;
+
+const CATEGORIES = [
+  { id: 'services', label: 'Services', aliases: ['service', 'offerings'] },
+  { id: 'solutions', label: 'Solutions', aliases: ['solution'] },
+  { id: 'technologies', label: 'Technologies', aliases: ['technology', 'tech'] },
+  { id: 'resources', label: 'Resources', aliases: ['resource center', 'resource-center', 'insights'] },
+  { id: 'blogs', label: 'Blogs', parent: 'resources', aliases: ['blog', 'article', 'articles'] },
+  { id: 'case-studies', label: 'Case Studies', parent: 'resources', aliases: ['case-study', 'case study', 'case studies'] },
+  { id: 'whitepaper', label: 'Whitepapers', parent: 'resources', aliases: ['whitepapers', 'white paper', 'white papers'] },
+  { id: 'webinar', label: 'Webinars', parent: 'resources', aliases: ['webinars'] },
+  { id: 'news-and-events', label: 'News & Events', aliases: ['news & events', 'newsroom'] },
+  { id: 'news', label: 'News', parent: 'news-and-events', aliases: ['press release', 'press releases'] },
+  { id: 'events', label: 'Events', parent: 'news-and-events', aliases: ['event'] },
+  { id: 'company', label: 'Company', aliases: ['about i2e'] },
+  { id: 'about-us', label: 'About Us', parent: 'company', aliases: ['about', 'about us'] },
+  { id: 'people', label: 'Our Experts', parent: 'company', aliases: ['our-experts', 'our experts', 'experts', 'team'] },
+  { id: 'careers', label: 'Careers', parent: 'company', aliases: ['career', 'jobs'] },
+  { id: 'partners', label: 'Partners', parent: 'company', aliases: ['partner', 'our-partners'] },
+  { id: 'landing-page', label: 'Landing Pages', aliases: ['landing-pages', 'landing page', 'landing pages'] }
+];
+
+const byId = new Map(CATEGORIES.map(category => [category.id, category]));
+
+// Lowercased id, label or alias -> id
+const lookup = new Map();
+for (const category of CATEGORIES) {
+  for (const name of [category.id, category.label, ...category.aliases]) {
+    const key = name.toLowerCase();
+    if (lookup.has(key) && lookup.get(key) !== category.id) {
+      throw new Error(`[Taxonomy] "${name}" names both ${lookup.get(key)} and ${category.id}`);
+    }
+    lookup.set(key, category.id);
+  }
+  if (category.parent && !CATEGORIES.some(other => other.id === category.parent)) {
+    throw new Error(`[Taxonomy] ${category.id} has unknown parent ${category.parent}`);
+  }
+}
+
+/**
+ * Canonical id for a category id, label or alias (case-insensitive), or null
+ */
+function normalizeCategory(value) {
+  if (!value || typeof value !== 'string') return null;
+  return lookup.get(value.trim().toLowerCase()) || null;
+}
+
+/**
+ * Ids of a category's direct children
+ */
+function childIds(id) {
+  return CATEGORIES.filter(category => category.parent === id).map(category => category.id);
+}
+
+/**
+ * The category and everything below it, for filtering on a parent
+ */
+function categoryWithDescendants(id) {
+  return [id, ...childIds(id).flatMap(categoryWithDescendants)];
+}
+
+/**
+ * Ids from the top-level category down to this one (['company', 'careers'])
+ */
+function categoryPath(id) {
+  const category = byId.get(id);
+  if (!category) return [];
+  return category.parent ? [...categoryPath(category.parent), id] : [id];
+}
+
+/**
+ * Display label for a category id (the id itself if it isn't in the taxonomy)
+ */
+function categoryLabel(id) {
+  return byId.get(id)?.label || id;
+}
+
+/**
+ * Nested category counts for a search: every category as
+ * { id, label, count, children }, where count includes the children.
+ * pathCounts maps a category id to the number of documents whose
+ * category_path contains it (a terms aggregation on category_path).
+ */
+function categoryTree(pathCounts = {}) {
+  const node = id => ({
+    id,
+    label: byId.get(id).label,
+    count: pathCounts[id] || 0,
+    children: childIds(id).map(node)
+  });
+  return CATEGORIES.filter(category => !category.parent).map(category => node(category.id));
+}
+
+/**
+ * The taxonomy for GET /categories: a flat list (with each category's
+ * children) and the same categories as a tree
+ */
+function describeTaxonomy() {
+  const describe = category => ({
+    id: category.id,
+    label: category.label,
+    parent: category.parent || null,
+    aliases: category.aliases,
+    children: childIds(category.id)
+  });
+  const tree = id => ({ ...describe(byId.get(id)), children: childIds(id).map(tree) });
+
+  return {
+    version: TAXONOMY_VERSION,
+    categories: CATEGORIES.map(describe),
+    tree: CATEGORIES.filter(category => !category.parent).map(category => tree(category.id))
+  };
+}
+
+module.exports = {
+  TAXONOMY_VERSION,
+  CATEGORIES,
+  normalizeCategory,
+  childIds,
+  categoryWithDescendants,
+  categoryPath,
+  categoryLabel,
+  categoryTree,
+  describeTaxonomy
+};
@@ -0,0 +1,40 @@
+/**
+ * Reindex Command
+ * Builds a new versioned search index from Strapi and swaps the search_items
+ * alias to it once the document count matches. Search stays on the old index
+ * until the swap, and the previous generation is kept for rollback.
+ *
+ * Usage:
+ *   npm run reindex              Build search_items_v<N+1> and swap the alias
+ *   npm run reindex -- --force   Swap even if the document counts differ
+ *   npm run reindex -- --rollback  Point the alias back at the previous index
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const rootEnvPath = path.resolve(__dirname, '../../.env');
+require('dotenv').config({
+  path: fs.existsSync(rootEnvPath) ? rootEnvPath : path.join(process.cwd(), '.env')
+});
+
+const { reindexFromStrapi, rollbackIndex } = require('../api/elasticsearch-init');
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--rollback')) {
+    const { previous, current } = await rollbackIndex();
+    console.log(`[Reindex] ✓ Rolled back from '${previous}' to '${current}'`);
+    return;
+  }
+
+  const summary = await reindexFromStrapi({ force: args.includes('--force') });
+  console.log('[Reindex] ✓ Done');
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+main().catch(error => {
+  console.error('[Reindex] ✗', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * search-term lifecycles
+ * Tell the search API to reload its dictionary whenever a term changes,
+ * so edits reach query understanding and the synonym filter without a restart
+ */
+
+const axios = require('axios');
+
+const SEARCH_API_URL = process.env.SEARCH_API_URL || `http://localhost:${process.env.API_PORT || 3001}`;
+// The reload endpoint is an admin route
+const ADMIN_API_TOKEN = (process.env.ADMIN_API_TOKEN || '').trim();
+
+if (!ADMIN_API_TOKEN) {
+  // Said once at startup rather than failing quietly on every edit
+  console.warn('[Search Term] ⚠ ADMIN_API_TOKEN is not set: term edits won\'t reload the search API\'s dictionary (it refreshes every 5 minutes). Set the same token for Strapi and the API.');
+}
+
+function notifySearchApi() {
+  if (!ADMIN_API_TOKEN) {
+    return;
+  }
+  axios.post(`${SEARCH_API_URL}/dictionary/reload`, {}, {
+    headers: { Authorization: `Bearer ${ADMIN_API_TOKEN}` },
+    timeout: 5000
+  })
+    .catch(error => {
+      // The API also refreshes on an interval, so a missed notification is not fatal
+      console.warn(`[Search Term] Could not notify search API at ${SEARCH_API_URL}: ${error.message}`);
+    });
+}
+
+module.exports = {
+  afterCreate() {
+    notifySearchApi();
+  },
+  afterUpdate() {
+    notifySearchApi();
+  },
+  afterDelete() {
+    notifySearchApi();
+  },
+  afterDeleteMany() {
+    notifySearchApi();
+  },
+};
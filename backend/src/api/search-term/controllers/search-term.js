@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * search-term controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::search-term.search-term');
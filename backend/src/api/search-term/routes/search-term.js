@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * search-term router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::search-term.search-term');
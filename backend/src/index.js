@@ -50,6 +50,10 @@ module.exports = {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  async bootstrap(/*{ strapi }*/) {},
+  async bootstrap({ strapi }) {
+    // Required here so the .env loaded above is visible to the Elasticsearch client
+    const { registerSearchIndexSync } = require('./search-index');
+    registerSearchIndexSync(strapi);
+  },
 };
 
@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * Search index sync
+ * Keeps Elasticsearch in step with search-item edits made in Strapi:
+ * lifecycle hooks queue the changed ids, the queue pushes them to the
+ * search alias, and a periodic reconciliation pass fixes any drift
+ * (missed hooks, writes that ran out of retries, manual index edits).
+ */
+
+const { esClient } = require('../../api/es-client');
+const { INDEX_NAME, toSearchDocument, isSearchable } = require('../../api/index-definition');
+const { createSyncQueue } = require('./queue');
+
+const UID = 'api::search-item.search-item';
+const PAGE_SIZE = 500;
+
+const SYNC_ENABLED = process.env.SEARCH_SYNC_ENABLED !== 'false';
+const RECONCILE_INTERVAL = parseInt(process.env.SEARCH_RECONCILE_INTERVAL_MS) || 15 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SEARCH_SYNC_MAX_ATTEMPTS) || 5;
+
+let queue = null;
+let reconcileTimer = null;
+let lastReconcile = null;
+
+/**
+ * Push one search-item to Elasticsearch, or remove it if it no longer exists
+ * or has been unpublished. Reads the entry fresh so the index always gets
+ * the latest saved state.
+ */
+async function syncEntry(strapi, id) {
+  const entry = await strapi.db.query(UID).findOne({ where: { id } });
+
+  if (!entry || !isSearchable(entry)) {
+    try {
+      await esClient.delete({ index: INDEX_NAME, id: String(id) });
+    } catch (error) {
+      // Already gone (or the index doesn't exist yet) - nothing to delete
+      if (error.meta?.statusCode !== 404) throw error;
+    }
+    return;
+  }
+
+  await esClient.index({
+    index: INDEX_NAME,
+    id: String(entry.id),
+    document: toSearchDocument(entry),
+    // Never auto-create a concrete search_items index with dynamic mappings
+    require_alias: true
+  });
+}
+
+/**
+ * Map of id -> updatedAt (ms) for every searchable search-item in Strapi
+ */
+async function loadStrapiVersions(strapi) {
+  const versions = new Map();
+  let offset = 0;
+
+  while (true) {
+    const rows = await strapi.db.query(UID).findMany({
+      select: ['id', 'updatedAt'],
+      where: {
+        $or: [
+          { search_status: { $null: true } },
+          { search_status: { $ne: 'unpublished' } }
+        ]
+      },
+      orderBy: { id: 'asc' },
+      offset,
+      limit: PAGE_SIZE
+    });
+    for (const row of rows) {
+      versions.set(String(row.id), new Date(row.updatedAt).getTime());
+    }
+    if (rows.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return versions;
+}
+
+/**
+ * Map of id -> updated_at (ms, or null) for every document in the index
+ */
+async function loadIndexVersions() {
+  const versions = new Map();
+  const scroll = esClient.helpers.scrollSearch({
+    index: INDEX_NAME,
+    _source: ['updated_at'],
+    size: 1000,
+    query: { match_all: {} }
+  });
+
+  for await (const result of scroll) {
+    for (const hit of result.body.hits.hits) {
+      const updatedAt = hit._source?.updated_at;
+      versions.set(hit._id, updatedAt ? new Date(updatedAt).getTime() : null);
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Compare Strapi with the index and queue every id that differs:
+ * missing from the index, older in the index, or no longer in Strapi
+ */
+async function reconcile(strapi) {
+  const startedAt = Date.now();
+  const [strapiVersions, indexVersions] = await Promise.all([
+    loadStrapiVersions(strapi),
+    loadIndexVersions()
+  ]);
+
+  const drift = { missing: 0, stale: 0, orphaned: 0 };
+
+  for (const [id, updatedAt] of strapiVersions) {
+    if (!indexVersions.has(id)) {
+      drift.missing++;
+      queue.push(id);
+    } else if (indexVersions.get(id) !== updatedAt) {
+      drift.stale++;
+      queue.push(id);
+    }
+  }
+  for (const id of indexVersions.keys()) {
+    if (!strapiVersions.has(id)) {
+      drift.orphaned++;
+      queue.push(id);
+    }
+  }
+
+  lastReconcile = {
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    strapiItems: strapiVersions.size,
+    indexedDocuments: indexVersions.size,
+    ...drift
+  };
+
+  const total = drift.missing + drift.stale + drift.orphaned;
+  if (total > 0) {
+    console.log(`[Search Sync] Reconcile queued ${total} items (${drift.missing} missing, ${drift.stale} stale, ${drift.orphaned} orphaned)`);
+  }
+
+  return lastReconcile;
+}
+
+function runReconcile(strapi) {
+  return reconcile(strapi).catch(error => {
+    const reason = error.meta?.body?.error?.reason || error.message;
+    lastReconcile = { finishedAt: new Date().toISOString(), error: reason };
+    console.warn(`[Search Sync] ⚠ Reconcile failed: ${reason}`);
+  });
+}
+
+/**
+ * Subscribe to search-item lifecycles and start the reconciliation job.
+ * Called from bootstrap in src/index.js.
+ */
+function registerSearchIndexSync(strapi) {
+  if (!SYNC_ENABLED) {
+    console.log('[Search Sync] Disabled (SEARCH_SYNC_ENABLED=false)');
+    return;
+  }
+
+  queue = createSyncQueue({
+    handler: id => syncEntry(strapi, id),
+    maxAttempts: MAX_ATTEMPTS
+  });
+
+  strapi.db.lifecycles.subscribe({
+    models: [UID],
+    afterCreate(event) {
+      queue.push(event.result.id);
+    },
+    afterUpdate(event) {
+      queue.push(event.result.id);
+    },
+    afterDelete(event) {
+      if (event.result?.id) {
+        queue.push(event.result.id);
+      }
+    },
+    // Bulk operations only report a count, so let reconciliation find the ids
+    afterCreateMany() {
+      runReconcile(strapi);
+    },
+    afterUpdateMany() {
+      runReconcile(strapi);
+    },
+    afterDeleteMany() {
+      runReconcile(strapi);
+    }
+  });
+
+  if (!reconcileTimer) {
+    runReconcile(strapi);
+    reconcileTimer = setInterval(() => runReconcile(strapi), RECONCILE_INTERVAL);
+    reconcileTimer.unref();
+  }
+
+  console.log(`[Search Sync] ✓ Syncing search-item changes to '${INDEX_NAME}' (reconcile every ${Math.round(RECONCILE_INTERVAL / 60000)} min)`);
+}
+
+/**
+ * Queue and reconciliation status (for logs and admin tooling)
+ */
+function getSearchSyncStatus() {
+  return {
+    enabled: SYNC_ENABLED,
+    queue: queue ? queue.getStatus() : null,
+    lastReconcile
+  };
+}
+
+module.exports = {
+  registerSearchIndexSync,
+  getSearchSyncStatus,
+  reconcile
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Search sync queue
+ * In-memory queue of search-item ids waiting to be pushed to Elasticsearch.
+ * Jobs are keyed by id, so several edits to one entry collapse into one push.
+ * Failed jobs are retried with exponential backoff; jobs that run out of
+ * attempts are kept in a short failure list and left for reconciliation.
+ */
+
+const MAX_RECENT_FAILURES = 20;
+
+function createSyncQueue({ handler, maxAttempts = 5, baseDelayMs = 1000, maxDelayMs = 60000 }) {
+  const pending = new Map();
+  const recentFailures = [];
+  const stats = { processed: 0, retried: 0, failed: 0 };
+  let timer = null;
+  let draining = false;
+
+  function schedule(delay) {
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(drain, Math.max(0, delay));
+    timer.unref();
+  }
+
+  function backoff(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  async function drain() {
+    timer = null;
+    if (draining) return;
+    draining = true;
+
+    try {
+      const now = Date.now();
+      for (const [key, job] of pending) {
+        if (job.notBefore > now) continue;
+
+        try {
+          await handler(job.id);
+          stats.processed++;
+          // A newer push for the same id may have replaced this job meanwhile
+          if (pending.get(key) === job) {
+            pending.delete(key);
+          }
+        } catch (error) {
+          job.attempts++;
+          if (job.attempts >= maxAttempts) {
+            stats.failed++;
+            recentFailures.unshift({ id: job.id, error: error.message, failedAt: new Date().toISOString() });
+            recentFailures.length = Math.min(recentFailures.length, MAX_RECENT_FAILURES);
+            console.error(`[Search Sync] ✗ Giving up on search-item ${job.id} after ${job.attempts} attempts: ${error.message}`);
+            if (pending.get(key) === job) {
+              pending.delete(key);
+            }
+          } else {
+            stats.retried++;
+            job.notBefore = Date.now() + backoff(job.attempts);
+            console.warn(`[Search Sync] ⚠ search-item ${job.id} failed (attempt ${job.attempts}/${maxAttempts}): ${error.message}`);
+          }
+        }
+      }
+    } finally {
+      draining = false;
+    }
+
+    if (pending.size > 0) {
+      const next = Math.min(...[...pending.values()].map(job => job.notBefore));
+      schedule(next - Date.now());
+    }
+  }
+
+  return {
+    /**
+     * Queue an id for sync; the handler decides whether to index or delete
+     */
+    push(id) {
+      pending.set(String(id), { id, attempts: 0, notBefore: 0 });
+      if (!draining) {
+        schedule(0);
+      }
+    },
+
+    getStatus() {
+      return {
+        pending: pending.size,
+        ...stats,
+        recentFailures: [...recentFailures]
+      };
+    }
+  };
+}
+
+module.exports = { createSyncQueue };
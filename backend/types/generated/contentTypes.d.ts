@@ -374,7 +374,14 @@ export interface ApiSearchItemSearchItem extends Schema.CollectionType {
     draftAndPublish: false;
   };
   attributes: {
+    author: Attribute.String;
+    breadcrumb: Attribute.JSON;
     category: Attribute.String;
+    category_confidence: Attribute.Decimal;
+    category_override: Attribute.String;
+    category_review: Attribute.Enumeration<['pending', 'approved']>;
+    category_rule: Attribute.String;
+    category_signals: Attribute.JSON;
     content: Attribute.Text;
     createdAt: Attribute.DateTime;
     createdBy: Attribute.Relation<
@@ -384,9 +391,19 @@ export interface ApiSearchItemSearchItem extends Schema.CollectionType {
     > &
       Attribute.Private;
     description: Attribute.Text;
+    event_date: Attribute.DateTime;
+    faqs: Attribute.JSON;
     images: Attribute.JSON;
     last_modified: Attribute.DateTime;
+    missing_since: Attribute.DateTime;
     page_description: Attribute.Text;
+    publish_date: Attribute.DateTime;
+    read_time_minutes: Attribute.Integer;
+    search_status: Attribute.Enumeration<['active', 'stale', 'unpublished']> &
+      Attribute.DefaultTo<'active'>;
+    sections: Attribute.JSON;
+    speakers: Attribute.JSON;
+    tags: Attribute.JSON;
     title: Attribute.String & Attribute.Required;
     updatedAt: Attribute.DateTime;
     updatedBy: Attribute.Relation<
@@ -434,6 +451,45 @@ export interface ApiSearchLogSearchLog extends Schema.CollectionType {
   };
 }
 
+export interface ApiSearchTermSearchTerm extends Schema.CollectionType {
+  collectionName: 'search_terms';
+  info: {
+    description: 'Abbreviations, synonyms, category words and service lines used for query understanding and the Elasticsearch synonym filter';
+    displayName: 'Search Term';
+    pluralName: 'search-terms';
+    singularName: 'search-term';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  attributes: {
+    category: Attribute.String;
+    createdAt: Attribute.DateTime;
+    createdBy: Attribute.Relation<
+      'api::search-term.search-term',
+      'oneToOne',
+      'admin::user'
+    > &
+      Attribute.Private;
+    enabled: Attribute.Boolean & Attribute.DefaultTo<true>;
+    expansion: Attribute.String;
+    synonyms: Attribute.JSON;
+    term: Attribute.String & Attribute.Required;
+    type: Attribute.Enumeration<
+      ['abbreviation', 'synonym', 'category', 'service']
+    > &
+      Attribute.Required &
+      Attribute.DefaultTo<'synonym'>;
+    updatedAt: Attribute.DateTime;
+    updatedBy: Attribute.Relation<
+      'api::search-term.search-term',
+      'oneToOne',
+      'admin::user'
+    > &
+      Attribute.Private;
+  };
+}
+
 export interface PluginContentReleasesRelease extends Schema.CollectionType {
   collectionName: 'strapi_releases';
   info: {
@@ -872,6 +928,7 @@ declare module '@strapi/types' {
       'admin::user': AdminUser;
       'api::search-item.search-item': ApiSearchItemSearchItem;
       'api::search-log.search-log': ApiSearchLogSearchLog;
+      'api::search-term.search-term': ApiSearchTermSearchTerm;
       'plugin::content-releases.release': PluginContentReleasesRelease;
       'plugin::content-releases.release-action': PluginContentReleasesReleaseAction;
       'plugin::i18n.locale': PluginI18NLocale;
@@ -8,28 +8,64 @@ import {
   getHistory,
   SearchResult,
   HistoryItem,
+  Category,
+  CategoryNode,
+  getCategories,
 } from '@/lib/api';
-import { getUserId, formatTimeAgo, generateTwoLineSummary } from '@/lib/utils';
+import { getUserId, formatTimeAgo, formatShortDate, generateTwoLineSummary } from '@/lib/utils';
 import { getCachedResults, cacheResults, clearCacheForQuery } from '@/lib/cache';
 import styles from './page.module.css';
 
-const CATEGORIES = [
-  { value: '', label: 'All Categories' },
-  { value: 'services', label: 'Services' },
-  { value: 'technologies', label: 'Technologies' },
-  { value: 'solutions', label: 'Solutions' },
-  { value: 'partners', label: 'Partners' },
-  { value: 'about-us', label: 'About Us' },
-  { value: 'people', label: 'Our Experts' },
-  { value: 'careers', label: 'Careers' },
-  { value: 'blogs', label: 'Blogs' },
-  { value: 'case-studies', label: 'Case Studies' },
-  { value: 'whitepaper', label: 'Whitepapers' },
-  { value: 'webinar', label: 'Webinars' },
-  { value: 'news', label: 'News' },
-  { value: 'events', label: 'Events' },
-  { value: 'landing-page', label: 'Landing Pages' },
-];
+/**
+ * The category and everything below it (filtering on a parent includes its children)
+ */
+function categoryWithDescendants(categories: Category[], id: string): string[] {
+  const category = categories.find(c => c.id === id);
+  return [id, ...(category?.children || []).flatMap(child => categoryWithDescendants(categories, child))];
+}
+
+/**
+ * Taxonomy id for a category id, label or alias (older history entries store
+ * values such as 'blog'); unknown values are returned unchanged
+ */
+function normalizeCategory(categories: Category[], value: string): string {
+  const key = value.trim().toLowerCase();
+  const category = categories.find(c =>
+    [c.id, c.label, ...c.aliases].some(name => name.toLowerCase() === key)
+  );
+  return category ? category.id : value;
+}
+
+/**
+ * Ids from the top-level category down to this one, from the taxonomy
+ */
+function categoryPath(categories: Category[], id: string): string[] {
+  const category = categories.find(c => c.id === id);
+  if (!category) return [];
+  return category.parent ? [...categoryPath(categories, category.parent), id] : [id];
+}
+
+/**
+ * A category's node in the nested counts
+ */
+function findCategoryNode(tree: CategoryNode[], id: string): CategoryNode | undefined {
+  for (const node of tree) {
+    const found = node.id === id ? node : findCategoryNode(node.children, id);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Add visited pages from history to the nested counts (a node counts its subtree)
+ */
+function withHistoryCounts(tree: CategoryNode[], historyCounts: Record<string, number>): CategoryNode[] {
+  return tree.map(node => {
+    const children = withHistoryCounts(node.children, historyCounts);
+    const added = children.reduce((sum, child, i) => sum + child.count - node.children[i].count, 0);
+    return { ...node, count: node.count + (historyCounts[node.id] ?? 0) + added, children };
+  });
+}
 
 export default function SearchPage() {
   const searchParams = useSearchParams();
@@ -38,6 +74,11 @@ export default function SearchPage() {
   const categoryParam = searchParams.get('category') || '';
   const categoriesParam = searchParams.get('categories') || ''; // For multiple categories
   const pageParam = parseInt(searchParams.get('page') || '1');
+  // Article/webinar detail filters
+  const authorParam = searchParams.get('author') || '';
+  const tagParam = searchParams.get('tag') || '';
+  const speakerParam = searchParams.get('speaker') || '';
+  const filterKey = [authorParam, tagParam, speakerParam].join('|');
 
   // Determine which category to use (single category takes precedence)
   const activeCategoryParam = categoryParam || (categoriesParam ? categoriesParam.split(',')[0] : '');
@@ -50,6 +91,11 @@ export default function SearchPage() {
     categoriesParam ? categoriesParam.split(',') : []
   );
   const [categoryCounts, setCategoryCounts] = useState<Record<string, number>>({});
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [categoriesLoaded, setCategoriesLoaded] = useState(false);
+  const [categoryTree, setCategoryTree] = useState<CategoryNode[]>([]);
+  const [showCategoryTree, setShowCategoryTree] = useState(false);
+  const [expandedCategories, setExpandedCategories] = useState<Set<string>>(new Set());
   const [currentPage, setCurrentPage] = useState(pageParam);
   const [totalPages, setTotalPages] = useState(0);
   const [visitedUrls, setVisitedUrls] = useState<Set<string>>(new Set());
@@ -62,7 +108,8 @@ export default function SearchPage() {
   const [didYouMean, setDidYouMean] = useState<string | null>(null);
   const [isInitialLoad, setIsInitialLoad] = useState(true); // Track if this is the first load
   const [showOverview, setShowOverview] = useState(false); // For animation
-  const prevSearchRef = useRef<{ query: string; category: string }>({ query: '', category: '' });
+  const countsFilterKeyRef = useRef('||'); // Filters the category counts were calculated with
+  const prevSearchRef = useRef<{ query: string; category: string; filterKey: string }>({ query: '', category: '', filterKey: '||' });
   const userId = getUserId();
 
   useEffect(() => {
@@ -71,6 +118,21 @@ export default function SearchPage() {
     }
   }, [userId]);
 
+  useEffect(() => {
+    getCategories().then(loaded => {
+      setCategories(loaded);
+      setCategoriesLoaded(true);
+    });
+  }, []);
+
+  // Open the branches above the selected category
+  useEffect(() => {
+    const ancestors = categoryPath(categories, selectedCategory).slice(0, -1);
+    if (ancestors.length > 0) {
+      setExpandedCategories(prev => new Set(Array.from(prev).concat(ancestors)));
+    }
+  }, [categories, selectedCategory]);
+
   useEffect(() => {
     // Update current page when URL param changes
     const page = parseInt(searchParams.get('page') || '1');
@@ -78,6 +140,9 @@ export default function SearchPage() {
   }, [searchParams]);
 
   useEffect(() => {
+    // History is merged by category, so wait for the taxonomy (parents and aliases)
+    if (!categoriesLoaded) return;
+
     // Check if query or category changed (new search) vs just page changed (pagination)
     const prevQuery = prevSearchRef.current.query;
     const prevCategory = prevSearchRef.current.category;
@@ -85,7 +150,8 @@ export default function SearchPage() {
     const currentCategory = selectedCategory || '';
     const queryChanged = currentQuery !== prevQuery;
     const categoryChanged = currentCategory !== prevCategory;
-    const isNewSearch = queryChanged || categoryChanged;
+    const filtersChanged = filterKey !== prevSearchRef.current.filterKey;
+    const isNewSearch = queryChanged || categoryChanged || filtersChanged;
     
     // If query or category changed, clear cache for old query
     if (isNewSearch && prevQuery) {
@@ -94,7 +160,7 @@ export default function SearchPage() {
     }
     
     // Update refs
-    prevSearchRef.current = { query: currentQuery, category: currentCategory };
+    prevSearchRef.current = { query: currentQuery, category: currentCategory, filterKey };
     if (queryChanged) {
       setLastSearchQuery(currentQuery);
     }
@@ -111,7 +177,7 @@ export default function SearchPage() {
       setTotalPages(0);
       setIsInitialLoad(false);
     }
-  }, [query, selectedCategory, multipleCategories, currentPage]);
+  }, [query, selectedCategory, multipleCategories, currentPage, filterKey, categoriesLoaded]);
 
   const loadHistory = async () => {
     if (!userId) return;
@@ -152,7 +218,7 @@ export default function SearchPage() {
 
     // Check cache first (only for pagination, not new searches)
     if (!isNewSearch && !isInitialLoad) {
-      const cached = getCachedResults(searchQuery, category, page);
+      const cached = getCachedResults(searchQuery, category, page, filterKey);
       if (cached) {
         // Filter results by multiple categories if specified
         let filteredResults = cached.results;
@@ -166,6 +232,7 @@ export default function SearchPage() {
         setTotal(cached.total);
         setTotalPages(cached.totalPages);
         setCategoryCounts(cached.categoryCounts || {});
+        setCategoryTree(cached.categoryTree || []);
         
         // Set overview and didYouMean only on first page
         if (page === 1) {
@@ -200,6 +267,7 @@ export default function SearchPage() {
         results: searchResults, 
         total: totalResults, 
         categoryCounts: counts, 
+        categoryTree: tree,
         totalPages: pages,
         overview: aiOverview,
         didYouMean: correction,
@@ -209,7 +277,12 @@ export default function SearchPage() {
         categoryToUse || undefined,
         page,
         10, // pageSize
-        userId || undefined // Pass userId for logging
+        userId || undefined, // Pass userId for logging
+        {
+          author: authorParam || undefined,
+          tag: tagParam || undefined,
+          speaker: speakerParam || undefined
+        }
       );
       
       // Filter results by multiple categories if specified
@@ -223,12 +296,13 @@ export default function SearchPage() {
       // Get ALL matching history items for this query (without category filter)
       // This is used for counting and for "All Categories"
       // If query is empty, get all history items
-      const allMatchingHistory = searchQuery.trim() 
+      const allMatchingHistory = (searchQuery.trim() 
         ? history.filter(item => 
             item.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
             item.url.toLowerCase().includes(searchQuery.toLowerCase())
           )
-        : history; // If no query, get all history items
+        : history // If no query, get all history items
+      ).map(item => ({ ...item, category: normalizeCategory(categories, item.category || '') }));
       
       // Get matching history items with category filter applied (for display on current page)
       const matchingHistory = allMatchingHistory.filter(item => {
@@ -236,7 +310,7 @@ export default function SearchPage() {
         if (multipleCategories.length > 0) {
           // Filter by multiple categories
           return multipleCategories.includes(item.category || '');
-        } else if (category && item.category !== category) {
+        } else if (category && !categoryWithDescendants(categories, category).includes(item.category || '')) {
           return false;
         }
         return true;
@@ -281,18 +355,23 @@ export default function SearchPage() {
       // Category counts should be calculated ONCE for the entire search (not per page)
       // Only recalculate if search query changed
       let updatedCategoryCounts = categoryCounts;
-      if (searchQuery !== lastSearchQuery) {
+      let updatedCategoryTree = categoryTree;
+      if (searchQuery !== lastSearchQuery || filterKey !== countsFilterKeyRef.current) {
+        countsFilterKeyRef.current = filterKey;
         // New search query - recalculate category counts from API aggregation
         updatedCategoryCounts = { ...(counts || {}) };
         
         // Count ALL history items by category (for accurate category counts across all pages)
+        const historyCounts: Record<string, number> = {};
         allMatchingHistory.forEach(item => {
           const cat = item.category || '';
           if (!updatedCategoryCounts[cat]) {
             updatedCategoryCounts[cat] = 0;
           }
           updatedCategoryCounts[cat] += 1;
+          historyCounts[cat] = (historyCounts[cat] ?? 0) + 1;
         });
+        updatedCategoryTree = withHistoryCounts(tree || [], historyCounts);
         
         // Calculate total: Elasticsearch total + all unique history items
         // This represents the total across ALL pages, not just current page
@@ -309,11 +388,9 @@ export default function SearchPage() {
       // This ensures the "results found" count matches the category filter count
       let combinedTotal: number;
       if (category) {
-        // When filtering by category, use the category count (which includes ES + history)
-        // Map frontend category to backend category if needed
-        const backendCategory = category === 'landing-pages' ? 'landing-page' : category;
-        const categoryCount = updatedCategoryCounts[backendCategory] ?? updatedCategoryCounts[category] ?? 0;
-        combinedTotal = categoryCount;
+        // When filtering by category, use the category count (which includes ES + history
+        // and, for a parent category, its subcategories)
+        combinedTotal = findCategoryNode(updatedCategoryTree, category)?.count ?? updatedCategoryCounts[category] ?? 0;
       } else {
         // No filter: use "All Categories" count from aggregation (which includes ES + history)
         // This ensures consistency with the category filter dropdown
@@ -328,11 +405,12 @@ export default function SearchPage() {
         results: combinedResults,
         total: combinedTotal,
         categoryCounts: updatedCategoryCounts,
+        categoryTree: updatedCategoryTree,
         totalPages: calculatedTotalPages,
         overview: page === 1 ? (aiOverview || null) : null,
         didYouMean: page === 1 ? (correction || null) : null,
         intent: intent || 'search'
-      });
+      }, filterKey);
       
       // Set results first to prevent flickering/refreshing
       setResults(combinedResults);
@@ -341,6 +419,7 @@ export default function SearchPage() {
       // Category counts remain stable across pages (only recalculate when search query changes)
       // The counts object contains totals for each category, and '' for "All Categories"
       setCategoryCounts(updatedCategoryCounts);
+      setCategoryTree(updatedCategoryTree);
       
       setIsInitialLoad(false);
       setIsLoading(false);
@@ -373,9 +452,9 @@ export default function SearchPage() {
     }
   };
 
-  const handleCategoryChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
-    const newCategory = e.target.value;
+  const handleCategoryChange = (newCategory: string) => {
     setSelectedCategory(newCategory);
+    setShowCategoryTree(false);
     const params = new URLSearchParams(searchParams.toString());
     if (newCategory) {
       params.set('category', newCategory);
@@ -387,15 +466,88 @@ export default function SearchPage() {
     router.push(`/search?${params.toString()}`);
   };
 
+  const toggleCategoryExpanded = (id: string) => {
+    setExpandedCategories(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  // One category with its subcategories (shown when expanded)
+  const renderCategoryNode = (node: CategoryNode, depth: number): React.ReactNode => {
+    const expanded = expandedCategories.has(node.id);
+    return (
+      <li key={node.id}>
+        <div className={styles.categoryTreeRow} style={{ paddingLeft: `${depth * 16}px` }}>
+          {node.children.length > 0 ? (
+            <button
+              type="button"
+              className={styles.categoryExpand}
+              onClick={() => toggleCategoryExpanded(node.id)}
+              aria-expanded={expanded}
+              aria-label={`${expanded ? 'Collapse' : 'Expand'} ${node.label}`}
+            >
+              {expanded ? '▾' : '▸'}
+            </button>
+          ) : (
+            <span className={styles.categoryExpand} />
+          )}
+          <button
+            type="button"
+            className={`${styles.categoryOption} ${selectedCategory === node.id ? styles.categoryOptionActive : ''}`}
+            onClick={() => handleCategoryChange(node.id)}
+          >
+            {node.label} <span className={styles.categoryCount}>({node.count})</span>
+          </button>
+        </div>
+        {expanded && node.children.length > 0 && (
+          <ul className={styles.categoryTreeList}>
+            {node.children.map(child => renderCategoryNode(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const selectedCategoryNode = findCategoryNode(categoryTree, selectedCategory);
+
+  // Set (or clear, with an empty value) a detail filter and go back to page 1
+  const handleFilterChange = (name: 'author' | 'tag' | 'speaker', value: string, event?: React.MouseEvent) => {
+    if (event) {
+      event.stopPropagation();
+    }
+    const params = new URLSearchParams(searchParams.toString());
+    if (value) {
+      params.set(name, value);
+    } else {
+      params.delete(name);
+    }
+    params.set('page', '1');
+    router.push(`/search?${params.toString()}`);
+  };
+
+  const activeFilters = [
+    { name: 'author' as const, label: 'Author', value: authorParam },
+    { name: 'tag' as const, label: 'Tag', value: tagParam },
+    { name: 'speaker' as const, label: 'Speaker', value: speakerParam },
+  ].filter((filter) => filter.value);
+
   const handlePageChange = (newPage: number) => {
     const params = new URLSearchParams(searchParams.toString());
     params.set('page', newPage.toString());
     router.push(`/search?${params.toString()}`);
   };
 
-  const handleResultClick = async (result: SearchResult, event?: React.MouseEvent) => {
+  // targetUrl is a section/FAQ deep link; visits are still tracked per page
+  const handleResultClick = async (result: SearchResult, event?: React.MouseEvent, targetUrl: string = result.url) => {
     if (event) {
       event.preventDefault();
+      event.stopPropagation();
     }
     
     const now = new Date().toISOString();
@@ -420,7 +572,7 @@ export default function SearchPage() {
     }
 
     // Open URL in new tab
-    window.open(result.url, '_blank');
+    window.open(targetUrl, '_blank');
   };
 
 
@@ -446,23 +598,33 @@ export default function SearchPage() {
             </button>
             <div className={styles.filters}>
               <div className={styles.categoryDropdown}>
-                <select
-                  value={selectedCategory}
-                  onChange={handleCategoryChange}
+                <button
+                  type="button"
                   className={styles.categorySelect}
+                  onClick={() => setShowCategoryTree(!showCategoryTree)}
+                  aria-expanded={showCategoryTree}
                 >
-                  {CATEGORIES.map((cat) => {
-                    // Map frontend category values to backend category values
-                    // Backend uses 'landing-page' (singular), frontend uses 'landing-page' now
-                    const backendKey = cat.value === 'landing-pages' ? 'landing-page' : cat.value;
-                    const count = categoryCounts[backendKey] ?? categoryCounts[cat.value] ?? 0;
-                    return (
-                      <option key={cat.value} value={cat.value}>
-                        {cat.label} ({count})
-                      </option>
-                    );
-                  })}
-                </select>
+                  {selectedCategory
+                    ? `${selectedCategoryNode?.label || categories.find(c => c.id === selectedCategory)?.label || selectedCategory} (${selectedCategoryNode?.count ?? categoryCounts[selectedCategory] ?? 0})`
+                    : `All Categories (${categoryCounts[''] ?? 0})`}
+                </button>
+                {showCategoryTree && (
+                  <div className={styles.categoryTree}>
+                    <div className={styles.categoryTreeRow}>
+                      <span className={styles.categoryExpand} />
+                      <button
+                        type="button"
+                        className={`${styles.categoryOption} ${!selectedCategory ? styles.categoryOptionActive : ''}`}
+                        onClick={() => handleCategoryChange('')}
+                      >
+                        All Categories <span className={styles.categoryCount}>({categoryCounts[''] ?? 0})</span>
+                      </button>
+                    </div>
+                    <ul className={styles.categoryTreeList}>
+                      {categoryTree.map(node => renderCategoryNode(node, 0))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -483,6 +645,20 @@ export default function SearchPage() {
                   </span>
                 )}
               </p>
+              {activeFilters.length > 0 && (
+                <div className={styles.activeFilters}>
+                  {activeFilters.map((filter) => (
+                    <button
+                      key={filter.name}
+                      className={styles.activeFilter}
+                      onClick={() => handleFilterChange(filter.name, '')}
+                      title="Remove filter"
+                    >
+                      {filter.label}: {filter.value} ×
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
             
             {/* AI Overview */}
@@ -534,12 +710,71 @@ export default function SearchPage() {
                             {result.title}
                           </h3>
                           <span className={styles.resultUrl}>{result.url}</span>
+                          {(result.author || result.publish_date || result.read_time_minutes || result.event_date || (result.speakers && result.speakers.length > 0)) && (
+                            <div className={styles.resultMeta}>
+                              {result.author && (
+                                <button
+                                  className={styles.resultMetaLink}
+                                  onClick={(e) => handleFilterChange('author', result.author!, e)}
+                                >
+                                  By {result.author}
+                                </button>
+                              )}
+                              {result.publish_date && <span>{formatShortDate(result.publish_date)}</span>}
+                              {result.read_time_minutes && <span>{result.read_time_minutes} min read</span>}
+                              {result.event_date && <span>Held {formatShortDate(result.event_date)}</span>}
+                              {result.speakers && result.speakers.length > 0 && (
+                                <span>
+                                  Speakers:{' '}
+                                  {result.speakers.map((speaker, index) => (
+                                    <button
+                                      key={speaker}
+                                      className={styles.resultMetaLink}
+                                      onClick={(e) => handleFilterChange('speaker', speaker, e)}
+                                    >
+                                      {speaker}{index < result.speakers!.length - 1 ? ',' : ''}
+                                    </button>
+                                  ))}
+                                </span>
+                              )}
+                            </div>
+                          )}
                           <p className={styles.resultDescription}>
                             {generateTwoLineSummary(result.content || result.description, result.page_description)}
                           </p>
+                          {result.faq ? (
+                            <a
+                              href={result.faq.url}
+                              className={styles.resultDeepLink}
+                              onClick={(e) => handleResultClick(result, e, result.faq!.url)}
+                            >
+                              Q: {result.faq.question}
+                            </a>
+                          ) : result.section && (
+                            <a
+                              href={result.section.url}
+                              className={styles.resultDeepLink}
+                              onClick={(e) => handleResultClick(result, e, result.section!.url)}
+                            >
+                              Jump to: {result.section.path || result.section.heading}
+                            </a>
+                          )}
+                          {result.tags && result.tags.length > 0 && (
+                            <div className={styles.resultTags}>
+                              {result.tags.map((tag) => (
+                                <button
+                                  key={tag}
+                                  className={styles.resultTag}
+                                  onClick={(e) => handleFilterChange('tag', tag, e)}
+                                >
+                                  {tag}
+                                </button>
+                              ))}
+                            </div>
+                          )}
                         </div>
                         <span className={styles.resultCategory}>
-                          {result.category}
+                          {categories.find(c => c.id === result.category)?.label || result.category}
                         </span>
                       </div>
                       <div className={styles.resultFooter}>
@@ -613,7 +848,7 @@ export default function SearchPage() {
                 {selectedCategory ? (
                   <>
                     <p className={styles.noResultsTitle}>
-                      No {CATEGORIES.find(c => c.value === selectedCategory)?.label.toLowerCase() || selectedCategory} found for &quot;{query}&quot;
+                      No {categories.find(c => c.id === selectedCategory)?.label.toLowerCase() || selectedCategory} found for &quot;{query}&quot;
                     </p>
                     <p className={styles.noResultsHint}>
                       Try selecting a different category or modify your search query
@@ -27,6 +27,49 @@ export interface SearchResult {
   category: string;
   last_modified: string;
   score?: number;
+  author?: string | null;
+  publish_date?: string | null;
+  read_time_minutes?: number | null;
+  tags?: string[];
+  speakers?: string[]; // Webinar speakers
+  event_date?: string | null; // Webinar/event date
+  section?: SearchResultSection | null; // Best matching section, for deep links
+  faq?: SearchResultFaq | null; // Best matching FAQ, for deep links
+}
+
+// Filters on article/webinar details (see backend/api/search-filters.js)
+export interface SearchFilters {
+  author?: string;
+  tag?: string;
+  speaker?: string;
+}
+
+export interface SearchFacet {
+  value: string;
+  count: number;
+}
+
+export interface SearchResultSection {
+  heading: string;
+  path: string; // Headings above it and its own, joined with ›
+  url: string;
+  snippet: string;
+}
+
+export interface SearchResultFaq {
+  question: string;
+  answer: string;
+  url: string;
+}
+
+/**
+ * A category in /search's nested counts; count includes its subcategories
+ */
+export interface CategoryNode {
+  id: string;
+  label: string;
+  count: number;
+  children: CategoryNode[];
 }
 
 export interface HistoryItem {
@@ -68,11 +111,14 @@ export async function search(
   category?: string,
   page: number = 1,
   pageSize: number = 10,
-  userId?: string
+  userId?: string,
+  filters: SearchFilters = {}
 ): Promise<{ 
   results: SearchResult[]; 
   total: number; 
   categoryCounts?: Record<string, number>;
+  categoryTree?: CategoryNode[];
+  facets?: Record<string, SearchFacet[]>;
   page: number;
   totalPages: number;
   overview?: string | null;
@@ -85,7 +131,7 @@ export async function search(
   }
   
   try {
-    const params: any = { q: query, category, page, pageSize };
+    const params: any = { q: query, category, page, pageSize, ...filters };
     // Add user_id if provided (for search query logging)
     if (userId) {
       params.user_id = userId;
@@ -96,6 +142,8 @@ export async function search(
       results: response.data.results || [],
       total: response.data.total || 0,
       categoryCounts: response.data.categoryCounts || {},
+      categoryTree: response.data.categoryTree || [],
+      facets: response.data.facets || {},
       page: response.data.page || 1,
       totalPages: response.data.totalPages || 0,
       overview: response.data.overview || null,
@@ -182,3 +230,35 @@ export async function getTrending(): Promise<TrendingItem[]> {
   }
 }
 
+
+/**
+ * A category from the backend taxonomy (GET /categories)
+ */
+export interface Category {
+  id: string;
+  label: string;
+  parent: string | null;
+  aliases: string[];
+  children: string[];
+}
+
+let categoriesRequest: Promise<Category[]> | null = null;
+
+/**
+ * Get the category taxonomy (fetched once per page load)
+ */
+export function getCategories(): Promise<Category[]> {
+  if (!categoriesRequest) {
+    categoriesRequest = api
+      .get('/categories')
+      .then(response => response.data.categories || [])
+      .catch((error: any) => {
+        categoriesRequest = null;
+        if (error.response?.status !== 401) {
+          console.error('Error fetching categories:', error);
+        }
+        return [];
+      });
+  }
+  return categoriesRequest;
+}
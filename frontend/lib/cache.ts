@@ -3,10 +3,13 @@
  * Caches search results to avoid showing loading state during pagination
  */
 
+import type { CategoryNode } from './api';
+
 interface CachedSearchResult {
   results: any[];
   total: number;
   categoryCounts: Record<string, number>;
+  categoryTree?: CategoryNode[];
   totalPages: number;
   overview?: string | null;
   didYouMean?: string | null;
@@ -25,10 +28,10 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
 const cache = new Map<string, CachedSearchResult>();
 
 /**
- * Generate cache key from query, category, and page
+ * Generate cache key from query, category, filters, and page
  */
-function getCacheKey(query: string, category: string = '', page: number = 1): string {
-  return `${query.toLowerCase().trim()}|${category}|${page}`;
+function getCacheKey(query: string, category: string = '', page: number = 1, filterKey: string = ''): string {
+  return `${query.toLowerCase().trim()}|${category}|${filterKey}|${page}`;
 }
 
 /**
@@ -45,9 +48,10 @@ function isCacheValid(entry: CachedSearchResult): boolean {
 export function getCachedResults(
   query: string,
   category: string = '',
-  page: number = 1
+  page: number = 1,
+  filterKey: string = ''
 ): CachedSearchResult | null {
-  const key = getCacheKey(query, category, page);
+  const key = getCacheKey(query, category, page, filterKey);
   const cached = cache.get(key);
   
   if (cached && isCacheValid(cached)) {
@@ -69,9 +73,10 @@ export function cacheResults(
   query: string,
   category: string = '',
   page: number = 1,
-  data: Omit<CachedSearchResult, 'timestamp'>
+  data: Omit<CachedSearchResult, 'timestamp'>,
+  filterKey: string = ''
 ): void {
-  const key = getCacheKey(query, category, page);
+  const key = getCacheKey(query, category, page, filterKey);
   cache.set(key, {
     ...data,
     timestamp: Date.now(),
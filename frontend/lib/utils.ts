@@ -50,6 +50,15 @@ export function formatTimeAgo(dateString: string): string {
   }
 }
 
+/**
+ * Format a date as "Mar 5, 2024" (dates are stored as UTC days)
+ */
+export function formatShortDate(dateString: string): string {
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
 /**
  * Highlight text with search query
  */
@@ -0,0 +1,206 @@
+/**
+ * Browser pool
+ * One shared Chromium for the whole crawl. Each page gets its own browser
+ * context (isolated cookies/storage, cheap to create), and two limits keep
+ * the crawl polite:
+ *   - concurrency:  pages open at once across all hosts
+ *   - perHostLimit: pages open at once on one host, started at least
+ *                   hostDelayMs apart
+ * Plain HTTP fetches go through throttle() so they share the same limits.
+ */
+
+const { chromium } = require('playwright');
+
+/**
+ * Counting semaphore: acquire() resolves when a slot is free
+ */
+function createSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+
+  return {
+    async acquire() {
+      if (active < limit) {
+        active++;
+        return;
+      }
+      await new Promise(resolve => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) {
+        // Hand the slot straight to the next waiter
+        next();
+      } else {
+        active--;
+      }
+    }
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+function createBrowserPool({
+  concurrency = 4,
+  perHostLimit = 2,
+  hostDelayMs = 250,
+  userAgent = 'i2e-scraper/1.0',
+  launchOptions = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] }
+} = {}) {
+  const globalSlots = createSemaphore(concurrency);
+  const hosts = new Map();
+  // Per-host overrides of perHostLimit / hostDelayMs (e.g. from robots.txt Crawl-delay)
+  const hostPolicies = new Map();
+  let browserPromise = null;
+
+  /**
+   * Launch Chromium on first use, and again if it crashed or was closed
+   */
+  async function getBrowser() {
+    if (browserPromise) {
+      const browser = await browserPromise.catch(() => null);
+      if (browser && browser.isConnected()) {
+        return browser;
+      }
+    }
+    browserPromise = chromium.launch(launchOptions);
+    return browserPromise;
+  }
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      const policy = hostPolicies.get(host) || {};
+      hosts.set(host, {
+        slots: createSemaphore(policy.limit || perHostLimit),
+        delayMs: policy.delayMs ?? hostDelayMs,
+        nextStart: 0
+      });
+    }
+    return hosts.get(host);
+  }
+
+  /**
+   * Wait for a host slot and for the host's politeness delay
+   */
+  async function acquireHost(host) {
+    const state = hostState(host);
+    await state.slots.acquire();
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStart);
+    // Reserve the start time before waiting so concurrent callers space out
+    state.nextStart = startAt + state.delayMs;
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+    return state;
+  }
+
+  /**
+   * Run fn() holding a global slot and a slot for url's host.
+   * Errors from fn are passed through to the caller.
+   */
+  async function throttle(url, fn) {
+    await globalSlots.acquire();
+    let host = null;
+    try {
+      host = await acquireHost(hostOf(url));
+      return await fn();
+    } finally {
+      if (host) {
+        host.slots.release();
+      }
+      globalSlots.release();
+    }
+  }
+
+  return {
+    throttle,
+
+    /**
+     * Override the concurrency limit and start spacing for one host.
+     * Must be called before the first request to that host.
+     */
+    setHostPolicy(host, { limit, delayMs } = {}) {
+      hostPolicies.set(host, { limit, delayMs });
+      hosts.delete(host);
+    },
+
+    /**
+     * Open a fresh page for url, run fn(page) and always clean up.
+     * Errors from fn are passed through to the caller.
+     */
+    async withPage(url, fn) {
+      return throttle(url, async () => {
+        const browser = await getBrowser();
+        const context = await browser.newContext({ userAgent });
+        try {
+          const page = await context.newPage();
+          return await fn(page);
+        } finally {
+          await context.close().catch(() => {});
+        }
+      });
+    },
+
+    /**
+     * Close the shared browser (safe to call when it was never launched)
+     */
+    async close() {
+      if (!browserPromise) return;
+      const browser = await browserPromise.catch(() => null);
+      browserPromise = null;
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }
+  };
+}
+
+/**
+ * Run fn(item, enqueue) over items with at most limit calls in flight.
+ * fn can add more items with enqueue while the queue is running; items are
+ * started in FIFO order (breadth-first). Resolves once the queue is empty
+ * and every call has finished, or rejects with the first error.
+ */
+function processQueue(items, limit, fn) {
+  const queue = [...items];
+  let active = 0;
+
+  return new Promise((resolve, reject) => {
+    const enqueue = item => {
+      queue.push(item);
+      pump();
+    };
+
+    function pump() {
+      if (queue.length === 0 && active === 0) {
+        resolve();
+        return;
+      }
+      while (active < limit && queue.length > 0) {
+        const item = queue.shift();
+        active++;
+        Promise.resolve()
+          .then(() => fn(item, enqueue))
+          .then(() => {
+            active--;
+            pump();
+          }, reject);
+      }
+    }
+
+    pump();
+  });
+}
+
+module.exports = {
+  createBrowserPool,
+  createSemaphore,
+  processQueue
+};
@@ -0,0 +1,332 @@
+/**
+ * Page Categorizer
+ * Runs the declarative rules in category-rules.json (override with
+ * CATEGORY_RULES_FILE) against a page. Rules are tried from the highest
+ * priority down, in file order within a priority, and the first one whose
+ * conditions all hold sets the category. The result names that rule and the
+ * markers it matched, so every stored category can be explained.
+ *
+ * A rule's `when` holds one or more conditions, each a list of lowercase markers:
+ *   url        - the page URL contains the marker
+ *   sitemap    - the sitemap the page was listed in contains the marker
+ *   breadcrumb - the breadcrumb text contains the marker
+ *   selector   - an element matches the marker (a CSS selector)
+ *   text       - the body text or raw HTML contains the marker
+ *   banner     - the hero/banner text (bannerSelectors) contains the marker
+ * A plain list needs any one marker; use { "all": [...] } or
+ * { "atLeast": n, "of": [...] } for more.
+ *
+ * Every other rule that matches is kept as a signal. Confidence starts from
+ * the rule's own `confidence` (else the strongest of its conditions, from the
+ * file's confidence block), rises for each signal that agrees and drops for
+ * each other category signalled.
+ *
+ * Every category a rule names must be an id from backend/api/taxonomy.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeCategory } = require('../backend/api/taxonomy');
+
+const CATEGORY_RULES_FILE = process.env.CATEGORY_RULES_FILE || path.join(__dirname, 'category-rules.json');
+
+const CONDITIONS = ['url', 'sitemap', 'breadcrumb', 'selector', 'text', 'banner'];
+
+const DEFAULT_CONFIDENCE = {
+  conditions: { url: 0.95, sitemap: 0.9, breadcrumb: 0.75, selector: 0.7, text: 0.6, banner: 0.6 },
+  default: 0.3,
+  agreement: 0.05,
+  conflict: 0.2
+};
+
+/**
+ * Normalize a condition to { markers, min }, or throw on a malformed one
+ */
+function parseCondition(value, where) {
+  if (Array.isArray(value)) {
+    return { markers: value.map(marker => String(marker).toLowerCase()), min: 1 };
+  }
+  if (value && Array.isArray(value.any)) {
+    return parseCondition(value.any, where);
+  }
+  if (value && Array.isArray(value.all)) {
+    const markers = value.all.map(marker => String(marker).toLowerCase());
+    return { markers, min: markers.length };
+  }
+  if (value && Array.isArray(value.of) && Number.isInteger(value.atLeast)) {
+    return { markers: value.of.map(marker => String(marker).toLowerCase()), min: value.atLeast };
+  }
+  throw new Error(`${where}: expected a list of markers, { all }, { any } or { atLeast, of }`);
+}
+
+/**
+ * Validate a rules document and sort its rules by priority
+ */
+function compileRules(document, source = 'category rules') {
+  if (!document || !Number.isInteger(document.version)) {
+    throw new Error(`${source}: missing integer "version"`);
+  }
+  if (!Array.isArray(document.rules)) {
+    throw new Error(`${source}: missing "rules" list`);
+  }
+
+  const confidence = {
+    ...DEFAULT_CONFIDENCE,
+    ...document.confidence,
+    conditions: { ...DEFAULT_CONFIDENCE.conditions, ...document.confidence?.conditions }
+  };
+
+  const ids = new Set();
+  const rules = document.rules.map((rule, index) => {
+    const where = `${source}: rule ${rule.id || `#${index + 1}`}`;
+    if (!rule.id || !rule.category) {
+      throw new Error(`${where}: "id" and "category" are required`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${where}: duplicate id`);
+    }
+    ids.add(rule.id);
+    if (normalizeCategory(rule.category) !== rule.category) {
+      throw new Error(`${where}: "${rule.category}" is not a category id in backend/api/taxonomy.js`);
+    }
+
+    const names = Object.keys(rule.when || {});
+    if (names.length === 0) {
+      throw new Error(`${where}: "when" has no conditions`);
+    }
+    const conditions = names.map(name => {
+      if (!CONDITIONS.includes(name)) {
+        throw new Error(`${where}: unknown condition "${name}" (expected ${CONDITIONS.join(', ')})`);
+      }
+      return { name, ...parseCondition(rule.when[name], `${where} ${name}`) };
+    });
+
+    if (rule.confidence !== undefined && !(rule.confidence >= 0 && rule.confidence <= 1)) {
+      throw new Error(`${where}: "confidence" must be between 0 and 1`);
+    }
+
+    return {
+      id: rule.id,
+      category: rule.category,
+      priority: Number(rule.priority) || 0,
+      confidence: rule.confidence ?? Math.max(...conditions.map(condition => confidence.conditions[condition.name])),
+      description: rule.description || null,
+      conditions,
+      order: index
+    };
+  });
+
+  rules.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+  const defaultCategory = document.defaultCategory || 'landing-page';
+  if (normalizeCategory(defaultCategory) !== defaultCategory) {
+    throw new Error(`${source}: defaultCategory "${defaultCategory}" is not a category id in backend/api/taxonomy.js`);
+  }
+
+  return {
+    version: document.version,
+    defaultCategory,
+    confidence,
+    breadcrumb: document.breadcrumb || {},
+    bannerSelectors: document.bannerSelectors || [],
+    rules
+  };
+}
+
+let loadedRules = null;
+
+/**
+ * Read and compile the rules file (cached after the first call)
+ */
+function loadRules(file = CATEGORY_RULES_FILE) {
+  if (loadedRules && loadedRules.file === file) {
+    return loadedRules.rules;
+  }
+  const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  loadedRules = { file, rules: compileRules(document, path.basename(file)) };
+  return loadedRules.rules;
+}
+
+/**
+ * First element matching a selector, or an empty selection when cheerio
+ * doesn't support the selector
+ */
+function firstMatch($, selector) {
+  try {
+    return $(selector).first();
+  } catch (error) {
+    return $([]);
+  }
+}
+
+/**
+ * The breadcrumb element: the parent of the crumb items, else the first
+ * breadcrumb selector with text, else the nearest container of a "Home" link
+ * that holds other links too (null when there is none)
+ */
+function breadcrumbElement($, config = {}) {
+  if (config.crumbItems) {
+    const crumb = firstMatch($, config.crumbItems);
+    if (crumb.length > 0 && crumb.parent().length > 0 && crumb.parent().text()) {
+      return crumb.parent();
+    }
+  }
+
+  for (const selector of config.selectors || []) {
+    const element = firstMatch($, selector);
+    if (element.text().trim()) return element;
+  }
+
+  const homeLink = $('a').filter((i, el) => $(el).text().toLowerCase().includes('home')).first();
+  let parent = homeLink.parent();
+  for (let level = 0; parent.length > 0 && level < (config.homeLinkLevels || 0); level++) {
+    if (parent.find('a').length > 1) {
+      return parent;
+    }
+    parent = parent.parent();
+  }
+  return null;
+}
+
+/**
+ * Lowercased breadcrumb text ('' when the page has no breadcrumb)
+ */
+function findBreadcrumb($, config = {}) {
+  const element = breadcrumbElement($, config);
+  return element ? element.text().toLowerCase() : '';
+}
+
+// A longer "trail" is a menu the Home-link fallback picked up, not a breadcrumb
+const MAX_BREADCRUMB_ITEMS = 6;
+
+/**
+ * The breadcrumb as a list of crumbs below Home (['Company', 'Careers']),
+ * or [] when the page has none
+ */
+function breadcrumbTrail($, config = {}) {
+  const element = breadcrumbElement($, config);
+  if (!element) return [];
+
+  const items = element.find('a, span, li').filter((i, el) => $(el).find('a, span, li').length === 0);
+  const crumbs = items.length > 0
+    ? items.map((i, el) => $(el).text()).get()
+    : element.text().split(/[/›»>|]/);
+
+  const trail = crumbs
+    .map(crumb => crumb.replace(/\s+/g, ' ').trim())
+    .filter(crumb => crumb && !/^[/›»>|]+$/.test(crumb))
+    .filter((crumb, i, all) => i === 0 || crumb !== all[i - 1]);
+  if (trail[0] && trail[0].toLowerCase() === 'home') {
+    trail.shift();
+  }
+  return trail.length <= MAX_BREADCRUMB_ITEMS ? trail : [];
+}
+
+/**
+ * The page's values for each condition, computed on first use
+ */
+function pageValues($, html, { url = '', sitemapSource = '' }, rules) {
+  const cache = {};
+  const compute = {
+    url: () => url.toLowerCase(),
+    sitemap: () => (sitemapSource || '').toLowerCase(),
+    breadcrumb: () => findBreadcrumb($, rules.breadcrumb),
+    text: () => [$('body').text().toLowerCase(), (html || '').toLowerCase()],
+    banner: () => rules.bannerSelectors.map(selector => firstMatch($, selector).text().toLowerCase())
+  };
+  return name => {
+    if (!(name in cache)) {
+      cache[name] = compute[name]();
+    }
+    return cache[name];
+  };
+}
+
+/**
+ * Markers of a condition the page has
+ */
+function matchedMarkers($, condition, signal) {
+  if (condition.name === 'selector') {
+    return condition.markers.filter(selector => firstMatch($, selector).length > 0);
+  }
+  const values = [].concat(signal(condition.name));
+  return condition.markers.filter(marker => values.some(value => value.includes(marker)));
+}
+
+/**
+ * "<condition> has "a", "b" and <condition> has ..." for a rule's matched markers
+ */
+function describeMatch(matched) {
+  return Object.entries(matched)
+    .map(([name, markers]) => `${name} has ${markers.map(marker => `"${marker}"`).join(', ')}`)
+    .join(' and ');
+}
+
+/**
+ * Categorize a page. Returns
+ * { category, rule, rulesVersion, confidence, matched, reason, signals, breadcrumb }:
+ * rule is the id of the rule that fired ('default' when none did), matched
+ * lists the markers each of its conditions found, signals every rule
+ * that matched ({ rule, category, matched }), the fired one first, and
+ * breadcrumb the page's breadcrumb trail (['Resource Center', 'Webinar']).
+ */
+function classifyPage($, html, { url = '', sitemapSource = '' } = {}, rules = loadRules()) {
+  const signal = pageValues($, html, { url, sitemapSource }, rules);
+  const breadcrumb = breadcrumbTrail($, rules.breadcrumb);
+
+  const signals = [];
+  const confidences = new Map();
+  for (const rule of rules.rules) {
+    const matched = {};
+    const fired = rule.conditions.every(condition => {
+      const markers = matchedMarkers($, condition, signal);
+      matched[condition.name] = markers;
+      return markers.length >= condition.min;
+    });
+    if (fired) {
+      signals.push({ rule: rule.id, category: rule.category, matched });
+      confidences.set(rule.id, rule.confidence);
+    }
+  }
+
+  if (signals.length === 0) {
+    return {
+      category: rules.defaultCategory,
+      rule: 'default',
+      rulesVersion: rules.version,
+      confidence: rules.confidence.default,
+      matched: {},
+      reason: 'no rule matched',
+      signals,
+      breadcrumb
+    };
+  }
+
+  const [winner, ...others] = signals;
+  const agreeing = others.filter(other => other.category === winner.category).length;
+  const conflicting = new Set(others.map(other => other.category).filter(category => category !== winner.category));
+  const confidence = confidences.get(winner.rule) +
+    agreeing * rules.confidence.agreement -
+    conflicting.size * rules.confidence.conflict;
+
+  return {
+    category: winner.category,
+    rule: winner.rule,
+    rulesVersion: rules.version,
+    confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100,
+    matched: winner.matched,
+    reason: describeMatch(winner.matched) +
+      (conflicting.size > 0 ? `; also looks like ${[...conflicting].join(', ')}` : ''),
+    signals,
+    breadcrumb
+  };
+}
+
+module.exports = {
+  CATEGORY_RULES_FILE,
+  compileRules,
+  loadRules,
+  findBreadcrumb,
+  breadcrumbTrail,
+  classifyPage
+};
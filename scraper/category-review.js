@@ -0,0 +1,92 @@
+/**
+ * Category review
+ * Keeps each classification on its search-item (category_confidence,
+ * category_rule, category_signals) and queues low-confidence pages for an
+ * editor by setting category_review to 'pending'. Editors take a page out
+ * of the queue by setting category_review to 'approved' (it stays approved
+ * until the scraper picks another category) or by pinning a category with
+ * category_override, which the scraper and the Elasticsearch sync always
+ * use instead of category.
+ */
+
+const { fetchStoredItems } = require('./tombstone');
+
+// Classifications below this confidence are queued for review
+const CATEGORY_REVIEW_THRESHOLD = parseFloat(process.env.CATEGORY_REVIEW_THRESHOLD) || 0.5;
+
+/**
+ * category_review for a new classification of a stored item (or a new one):
+ * null when it needs no review, else 'pending' or a still valid 'approved'
+ */
+function reviewStatus(classification, existing = {}, threshold = CATEGORY_REVIEW_THRESHOLD) {
+  if (existing.category_override || classification.confidence >= threshold) {
+    return null;
+  }
+  if (existing.category_review === 'approved' && existing.category === classification.category) {
+    return 'approved';
+  }
+  return 'pending';
+}
+
+/**
+ * The category_* fields (and the breadcrumb trail) to store for a classification
+ */
+function classificationFields(classification, existing = {}) {
+  return {
+    category_confidence: classification.confidence,
+    category_rule: classification.rule,
+    category_signals: classification.signals,
+    category_review: reviewStatus(classification, existing),
+    breadcrumb: classification.breadcrumb || []
+  };
+}
+
+/**
+ * The stored category_* fields and breadcrumb of scraped data or a stored item,
+ * with empty defaults
+ */
+function reviewFields(source = {}) {
+  return {
+    category_confidence: source.category_confidence === null || source.category_confidence === undefined
+      ? null
+      : Number(source.category_confidence),
+    category_rule: source.category_rule || null,
+    category_signals: source.category_signals || [],
+    category_review: source.category_review || null,
+    breadcrumb: source.breadcrumb || []
+  };
+}
+
+/**
+ * Print the pages waiting for category review, least confident first
+ */
+async function printReviewQueue() {
+  const items = await fetchStoredItems([
+    'url', 'category', 'category_override', 'category_confidence', 'category_rule', 'category_signals', 'category_review'
+  ]);
+  const pending = items
+    .map(item => item.attributes || {})
+    .filter(attributes => attributes.category_review === 'pending' && !attributes.category_override)
+    .sort((a, b) => (Number(a.category_confidence) || 0) - (Number(b.category_confidence) || 0));
+
+  console.log(`Category review queue: ${pending.length} page(s) below ${CATEGORY_REVIEW_THRESHOLD} confidence`);
+  for (const attributes of pending) {
+    const signals = (attributes.category_signals || [])
+      .map(signal => `${signal.rule} → ${signal.category}`)
+      .join(', ');
+    console.log(`  ${(Number(attributes.category_confidence) || 0).toFixed(2)}  ${attributes.category || '(none)'}  ${attributes.url}`);
+    console.log(`        rule ${attributes.category_rule || 'unknown'}; signals: ${signals || 'none'}`);
+  }
+  if (pending.length > 0) {
+    console.log('Set category_override (or category_review: approved) on the search-item in Strapi to clear a page.');
+  }
+  return pending;
+}
+
+module.exports = {
+  CATEGORY_REVIEW_THRESHOLD,
+  reviewStatus,
+  classificationFields,
+  reviewFields,
+  printReviewQueue
+};
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Scraper CLI
+ * node cli.js <command> [options] - run with --help for the full list.
+ * Without a command it crawls, so `node index.js [options]` keeps working.
+ */
+
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  crawl              Scrape pages and write changes to Strapi and Elasticsearch (default)
+  recategorize       Re-scrape stored pages and update only their category
+  resummarize        Re-scrape stored pages and update only their summary (content)
+  classify           Scrape pages and show the category rule each one matches (writes nothing)
+  review-queue       List stored pages whose category is waiting for an editor's review
+  verify             Compare the sitemaps, Strapi and Elasticsearch and report differences
+  tombstone-report   Show which pages missing from the sitemaps would be retired
+  schedule           Keep running and crawl incrementally on the SCRAPE_INTERVAL cron schedule
+
+Page selection (crawl, recategorize, resummarize, classify):
+  --url <url>        Only this page, scraped as given (repeatable; sitemaps aren't read)
+  --sitemap <text>   Only pages from sitemaps whose URL contains <text>
+  --pattern <path>   Only pages whose path matches (robots.txt style: * wildcard, $ end)
+
+Crawl options:
+  --full             Rescrape pages even if lastmod / ETag / Last-Modified is unchanged
+  --fresh            Start over instead of resuming an interrupted run
+  --discover         Also follow links to pages missing from the sitemaps
+  --create           Create Strapi items for pages that aren't stored yet
+
+  --dry-run          Print what would be written to Strapi and Elasticsearch, write nothing
+  --now              (schedule) Also crawl once right away
+  -h, --help         Show this help
+`;
+
+const COMMANDS = ['crawl', 'recategorize', 'resummarize', 'classify', 'review-queue', 'verify', 'tombstone-report', 'schedule'];
+
+const OPTIONS = {
+  url: { type: 'string', multiple: true },
+  sitemap: { type: 'string' },
+  pattern: { type: 'string' },
+  full: { type: 'boolean' },
+  fresh: { type: 'boolean' },
+  discover: { type: 'boolean' },
+  create: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  now: { type: 'boolean' },
+  // Kept from before the CLI: node index.js --tombstone-report
+  'tombstone-report': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse argv into { command, options }, or { error }
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const { values, positionals } = parsed;
+  if (positionals.length > 1) {
+    return { error: `Unexpected argument: ${positionals[1]}` };
+  }
+  const command = positionals[0] || (values['tombstone-report'] ? 'tombstone-report' : 'crawl');
+  if (!COMMANDS.includes(command)) {
+    return { error: `Unknown command: ${command}` };
+  }
+
+  return {
+    command,
+    help: Boolean(values.help),
+    options: {
+      urls: values.url || [],
+      sitemap: values.sitemap || null,
+      pattern: values.pattern || null,
+      full: Boolean(values.full),
+      fresh: Boolean(values.fresh),
+      ...(values.discover ? { discover: true } : {}),
+      ...(values.create ? { create: true } : {}),
+      dryRun: Boolean(values['dry-run']),
+      now: Boolean(values.now)
+    }
+  };
+}
+
+async function runCommand(command, options) {
+  // Loaded here so --help and argument errors don't need the scraper's config
+  const scraper = require('./index');
+
+  switch (command) {
+    case 'crawl':
+      await scraper.runScraper(options);
+      return 0;
+    case 'recategorize':
+      await scraper.refreshStoredField('category', options);
+      return 0;
+    case 'resummarize':
+      await scraper.refreshStoredField('content', options);
+      return 0;
+    case 'classify':
+      await scraper.explainCategories(options);
+      return 0;
+    case 'review-queue': {
+      const { printReviewQueue } = require('./category-review');
+      await printReviewQueue();
+      return 0;
+    }
+    case 'verify': {
+      const { verifyIndex } = require('./verify');
+      const robots = await scraper.loadRobotsPolicy();
+      const { entries, failures } = await scraper.loadSitemapEntries(robots);
+      // A partly loaded sitemap would report its pages as unstored
+      const sitemapUrls = failures.length > 0 ? null : entries.map(entry => entry.normalizedUrl || entry.url);
+      const result = await verifyIndex({ sitemapUrls });
+      return result.ok ? 0 : 1;
+    }
+    case 'tombstone-report':
+      await scraper.runTombstoneReport();
+      return 0;
+    case 'schedule': {
+      const { startScheduler } = require('./scheduler');
+      const scheduler = startScheduler(scraper.runScraper, { runNow: options.now });
+      process.on('SIGTERM', () => {
+        console.log('[Scheduler] Stopping after the current crawl');
+        scheduler.stop().then(() => process.exit(0));
+      });
+      // Keep running until the process is stopped
+      return null;
+    }
+    default:
+      return 2;
+  }
+}
+
+/**
+ * Run the CLI and exit with its status: 0 ok, 1 failed (or verify found problems), 2 usage error.
+ * `schedule` keeps the process running instead.
+ */
+function main(argv) {
+  const { command, help, options, error } = parseCommandLine(argv);
+  if (error) {
+    console.error(`${error}\n`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  runCommand(command, options).then(code => {
+    if (code !== null) {
+      process.exit(code);
+    }
+  }).catch(err => {
+    if (err.name === 'LockedError') {
+      console.error(`✗ ${err.message}`);
+      process.exit(1);
+    }
+    console.error('Scraper failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseCommandLine,
+  main
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,233 @@
+/**
+ * Crawl state
+ * Append-only JSON-lines journal of scraper runs, kept on local disk:
+ *   - run-start: the run id and the sitemap snapshot it is working through
+ *   - discovered: a URL found by following links, added to the run's snapshot
+ *   - url:       what happened to one URL (status, content hash, scrape time, error)
+ *   - run-end:   the run's summary
+ * A run without a run-end was interrupted; the next run picks up its snapshot
+ * and only processes the URLs it hadn't finished. The journal is compacted to
+ * the latest record per URL whenever a new run starts.
+ * Partial runs (one URL, one sitemap...) update URL records but are never
+ * resumed, and leave an interrupted full run in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CRAWL_STATE_FILE = process.env.CRAWL_STATE_FILE || path.join(__dirname, '.crawl-state/crawl-state.jsonl');
+
+const STATUSES = ['created', 'updated', 'unchanged', 'failed', 'skipped'];
+// URLs with these statuses are not processed again when a run is resumed
+const DONE_STATUSES = new Set(['created', 'updated', 'unchanged', 'skipped']);
+
+function readJournal(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Crawl State] ⚠ Could not read ${file}: ${error.message}`);
+    }
+    return [];
+  }
+
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A crash mid-write can leave a partial last line
+    }
+  }
+  return records;
+}
+
+/**
+ * Count URL results by status
+ */
+function summarizeResults(results) {
+  const summary = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  for (const result of results.values()) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+  return summary;
+}
+
+function createCrawlState({ file = CRAWL_STATE_FILE, readOnly = false } = {}) {
+  // Latest record per URL key, across runs
+  const latest = new Map();
+  let lastRun = null;
+
+  for (const record of readJournal(file)) {
+    if (record.type === 'run-start' && record.partial) {
+      continue;
+    } else if (record.type === 'run-start') {
+      lastRun = { ...record, results: new Map(), finishedAt: null };
+    } else if (record.type === 'discovered' && lastRun && record.runId === lastRun.runId) {
+      lastRun.snapshot.push(record.entry);
+    } else if (record.type === 'url') {
+      latest.set(record.key, record);
+      if (lastRun && record.runId === lastRun.runId) {
+        lastRun.results.set(record.key, record);
+      }
+    } else if (record.type === 'run-end' && lastRun && record.runId === lastRun.runId) {
+      lastRun.finishedAt = record.finishedAt;
+    }
+  }
+
+  function append(record) {
+    // Dry runs read the journal (for incremental skips) but never change it
+    if (readOnly) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Rewrite the journal as just the latest record per URL
+   */
+  function compact() {
+    if (readOnly) return;
+    const lines = [...latest.values()].map(record => JSON.stringify(record) + '\n');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, lines.join(''));
+    fs.renameSync(tmpFile, file);
+  }
+
+  return {
+    file,
+
+    /**
+     * The last run if it never finished, else null
+     */
+    interruptedRun() {
+      return lastRun && !lastRun.finishedAt ? lastRun : null;
+    },
+
+    /**
+     * Start a new run over a sitemap snapshot ([{ url, normalizedUrl, lastmod, sitemapSource }])
+     */
+    startRun({ snapshot, sitemapFailures = [], partial = false }) {
+      const run = {
+        type: 'run-start',
+        runId: crypto.randomUUID(),
+        startedAt: new Date().toISOString(),
+        sitemapFailures,
+        snapshot
+      };
+      if (partial) {
+        append({ ...run, partial: true, snapshot: [] });
+        return { ...run, partial: true, results: new Map(), finishedAt: null };
+      }
+
+      compact();
+      append(run);
+      lastRun = { ...run, results: new Map(), finishedAt: null };
+      return lastRun;
+    },
+
+    /**
+     * Add a URL found during the run to its snapshot, so a resumed run still crawls it
+     */
+    addToRun(run, entry) {
+      if (!run.partial) {
+        append({ type: 'discovered', runId: run.runId, entry });
+      }
+      run.snapshot.push(entry);
+    },
+
+    /**
+     * URLs that were last reached by following links rather than from a sitemap
+     */
+    linkedUrls() {
+      return [...latest.values()]
+        .filter(record => record.source === 'link')
+        .map(record => record.url);
+    },
+
+    /**
+     * Whether a URL already has a final result in this run
+     */
+    isDone(run, key) {
+      const result = run.results.get(key);
+      return Boolean(result && DONE_STATUSES.has(result.status));
+    },
+
+    /**
+     * Latest recorded result for a URL key from any run
+     */
+    lastResult(key) {
+      return latest.get(key) || null;
+    },
+
+    /**
+     * Record what happened to one URL.
+     * A URL that wasn't scraped this time (no hash: failed, or skipped as not
+     * modified) keeps the hash and scrape time of its last successful scrape,
+     * and keeps its cache validators unless new ones are given.
+     */
+    record(run, { key, url, status, hash = null, validators, error = null, ...details }) {
+      const previous = latest.get(key);
+      const now = new Date().toISOString();
+      const record = {
+        type: 'url',
+        runId: run.runId,
+        key,
+        url,
+        status,
+        hash: hash || previous?.hash || null,
+        lastScrapedAt: hash ? now : previous?.lastScrapedAt || null,
+        attemptedAt: now,
+        // { lastmod, etag, lastModified } of the last successful scrape
+        validators: validators === undefined ? previous?.validators || null : validators,
+        error,
+        ...details
+      };
+      append(record);
+      latest.set(key, record);
+      run.results.set(key, record);
+      return record;
+    },
+
+    /**
+     * Close the run and return its summary ({ created, updated, unchanged, failed, skipped })
+     */
+    finishRun(run) {
+      const summary = summarizeResults(run.results);
+      run.finishedAt = new Date().toISOString();
+      append({ type: 'run-end', runId: run.runId, finishedAt: run.finishedAt, summary });
+      return summary;
+    }
+  };
+}
+
+/**
+ * Print a run summary and list the URLs that failed
+ */
+function printRunSummary(run, summary) {
+  console.log(`\nCrawl summary (run ${run.runId})`);
+  console.log(`  ${STATUSES.map(status => `${summary[status]} ${status}`).join(', ')}`);
+  const reasons = {};
+  for (const result of run.results.values()) {
+    if (result.status === 'skipped' && result.reason) {
+      reasons[result.reason] = (reasons[result.reason] || 0) + 1;
+    }
+  }
+  for (const [reason, count] of Object.entries(reasons)) {
+    console.log(`    skipped, ${reason}: ${count}`);
+  }
+  const failed = [...run.results.values()].filter(result => result.status === 'failed');
+  for (const result of failed) {
+    console.log(`    ✗ ${result.url}: ${result.error}`);
+  }
+}
+
+module.exports = {
+  CRAWL_STATE_FILE,
+  createCrawlState,
+  summarizeResults,
+  printRunSummary
+};
@@ -0,0 +1,69 @@
+/**
+ * Dry-run diffs
+ * Field-by-field comparison of what is stored with what the scraper would
+ * write, printed instead of writing when the CLI runs with --dry-run.
+ */
+
+const PREVIEW_LENGTH = 80;
+
+function preview(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const oneLine = text.replace(/\s+/g, ' ');
+  return oneLine.length > PREVIEW_LENGTH
+    ? `"${oneLine.substring(0, PREVIEW_LENGTH)}…" (${oneLine.length} chars)`
+    : `"${oneLine}"`;
+}
+
+/**
+ * JSON with object keys sorted, so values read back from Strapi's JSON
+ * fields (Postgres jsonb doesn't keep key order) compare equal to what the
+ * scraper built
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+      : nested
+  );
+}
+
+function normalize(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : stableStringify(value);
+}
+
+/**
+ * Fields whose value would change: [{ field, before, after }]
+ * Only fields present in `after` are compared.
+ */
+function diffFields(before = {}, after = {}) {
+  return Object.keys(after)
+    .filter(field => normalize(before?.[field]) !== normalize(after[field]))
+    .map(field => ({ field, before: before?.[field], after: after[field] }));
+}
+
+/**
+ * Print one pending write and its field changes
+ */
+function printDiff(target, action, label, changes) {
+  if (changes.length === 0) {
+    console.log(`  = [${target}] ${label}: no changes`);
+    return;
+  }
+  const symbol = action === 'create' ? '+' : '~';
+  console.log(`  ${symbol} [${target}] ${action} ${label}`);
+  for (const change of changes) {
+    if (action === 'create') {
+      console.log(`      ${change.field}: ${preview(change.after)}`);
+    } else {
+      console.log(`      ${change.field}: ${preview(change.before)} → ${preview(change.after)}`);
+    }
+  }
+}
+
+module.exports = {
+  stableStringify,
+  diffFields,
+  printDiff
+};
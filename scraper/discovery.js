@@ -0,0 +1,108 @@
+/**
+ * Link discovery
+ * Optional breadth-first crawl that follows same-host links from scraped
+ * pages, so pages the CMS leaves out of the sitemaps still get indexed.
+ * Sitemap pages are depth 0; a page found on a depth-n page is depth n+1.
+ * Every URL entry carries where it came from:
+ *   - source: 'sitemap' | 'link' ('cli' for pages named on the command line)
+ *   - discoveredFrom: URL of the page that linked to it (links only)
+ */
+
+const { patternToRegExp } = require('./robots');
+const { normalizeUrlToProduction, urlKey } = require('./urls');
+
+const DISCOVERY_CONFIG = {
+  // Default for crawls; the CLI's --discover turns it on for one run
+  enabled: process.env.SCRAPER_DISCOVER === 'true',
+  maxDepth: parseInt(process.env.SCRAPER_DISCOVER_MAX_DEPTH) || 2,
+  maxPages: parseInt(process.env.SCRAPER_DISCOVER_MAX_PAGES) || 500,
+  // Comma-separated path patterns (robots.txt style: * wildcard, $ end anchor)
+  include: parsePatterns(process.env.SCRAPER_DISCOVER_INCLUDE),
+  exclude: parsePatterns(process.env.SCRAPER_DISCOVER_EXCLUDE)
+};
+
+function parsePatterns(value) {
+  return (value || '')
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a URL's path passes the include/exclude patterns
+ */
+function matchesPatterns(url, { include = [], exclude = [] }) {
+  let pathWithQuery;
+  try {
+    const parsed = new URL(url);
+    pathWithQuery = `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    return false;
+  }
+  if (include.length > 0 && !include.some(pattern => patternToRegExp(pattern).test(pathWithQuery))) {
+    return false;
+  }
+  return !exclude.some(pattern => patternToRegExp(pattern).test(pathWithQuery));
+}
+
+/**
+ * Tracks every URL key in the crawl and decides which links to follow
+ */
+function createDiscovery(config = DISCOVERY_CONFIG) {
+  const seenKeys = new Set();
+  let discovered = 0;
+
+  return {
+    config,
+
+    /**
+     * Register URL entries already in the crawl (sitemap snapshot, resumed run)
+     */
+    seed(entries) {
+      for (const entry of entries) {
+        seenKeys.add(urlKey(entry.normalizedUrl || normalizeUrlToProduction(entry.url)));
+      }
+    },
+
+    /**
+     * New URL entries for the links found on a page, within depth, pattern and page limits
+     */
+    follow(parentEntry, links) {
+      if (!config.enabled) return [];
+      const depth = (parentEntry.depth || 0) + 1;
+      if (depth > config.maxDepth) return [];
+
+      const parentUrl = parentEntry.normalizedUrl || normalizeUrlToProduction(parentEntry.url);
+      const entries = [];
+      for (const link of links) {
+        if (discovered >= config.maxPages) break;
+        const normalizedUrl = normalizeUrlToProduction(link);
+        const key = urlKey(normalizedUrl);
+        if (seenKeys.has(key) || !matchesPatterns(link, config)) continue;
+
+        seenKeys.add(key);
+        discovered++;
+        entries.push({
+          url: link,
+          normalizedUrl,
+          lastmod: null,
+          sitemapSource: null,
+          source: 'link',
+          discoveredFrom: parentUrl,
+          depth
+        });
+      }
+      return entries;
+    },
+
+    get discovered() {
+      return discovered;
+    }
+  };
+}
+
+module.exports = {
+  DISCOVERY_CONFIG,
+  matchesPatterns,
+  createDiscovery
+};
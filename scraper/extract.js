@@ -0,0 +1,543 @@
+/**
+ * Page content extraction
+ * Pulls title, description, text, a section tree, FAQs and article/webinar
+ * details out of a page's HTML with cheerio.
+ * The same extractors run on static HTML (fast path) and on HTML rendered
+ * by Playwright, so both paths store identical fields.
+ */
+
+const cheerio = require('cheerio');
+
+// Boilerplate removed before reading page text
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'nav', 'footer', 'header',
+  'aside', '.sidebar', '.menu', '.navigation',
+  '.cookie-banner', '.cookie-consent', '[class*="cookie"]',
+  '[id*="cookie"]', '.skip-link', '.sr-only'
+];
+
+// Buttons are also dropped from the plain-text version used for summaries
+const BUTTON_SELECTORS = ['button', '[role="button"]', '.btn', '.button'];
+
+// Structured content limits, so one huge page can't bloat the stored item
+const MAX_SECTIONS = 200;
+const MAX_SECTION_BODY = 5000;
+const MAX_FAQS = 100;
+const MAX_FAQ_ANSWER = 2000;
+
+// Blocks that make up a section's body
+const BLOCK_SELECTORS = 'p, li, blockquote, pre, dd';
+const HEADING_SELECTORS = 'h1, h2, h3, h4, h5, h6';
+
+// Containers whose question-like headings, buttons and terms are FAQs
+const FAQ_CONTAINER_SELECTORS = '[class*="faq" i], [id*="faq" i], [class*="accordion" i]';
+
+// Article and webinar details
+const MAX_TAGS = 20;
+const MAX_SPEAKERS = 20;
+const MAX_NAME_LENGTH = 100;
+const TAG_SELECTORS = 'a[rel~="tag"], .tags a, .tag-list a, [class*="post-tag" i], [class*="blog-tag" i]';
+const SPEAKER_SELECTORS = '[class*="speaker" i], [class*="presenter" i], [class*="panelist" i]';
+// "March 5, 2024", "5 Mar 2024", "2024-03-05", "03/05/2024"
+const DATE_PATTERN = '([A-Z][a-z]{2,8}\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2}(?:st|nd|rd|th)? [A-Z][a-z]{2,8}\\.?,? \\d{4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2}/\\d{4})';
+
+// Links to these files are never pages worth indexing
+const NON_PAGE_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|docx?|xlsx?|pptx?|mp4|mp3)$/i;
+
+/**
+ * Copy of <body> with the given selectors removed
+ */
+function cleanBody($, selectors) {
+  const body = $('body').first().clone();
+  for (const selector of selectors) {
+    try {
+      body.find(selector).remove();
+    } catch (error) {
+      // Ignore selectors cheerio can't parse
+    }
+  }
+  return body;
+}
+
+/**
+ * Meta title: og:title, then <title>
+ */
+function extractTitle($) {
+  return $('meta[property="og:title"]').attr('content') ||
+         $('title').first().text().trim() ||
+         '';
+}
+
+/**
+ * Meta description: description, then og:description
+ */
+function extractDescription($) {
+  return $('meta[name="description"]').attr('content') ||
+         $('meta[property="og:description"]').attr('content') ||
+         '';
+}
+
+/**
+ * RAW page text for summaries (no markers, just pure text)
+ */
+function extractRawText($) {
+  const body = cleanBody($, [...BOILERPLATE_SELECTORS, ...BUTTON_SELECTORS]);
+
+  // Main content area first (most relevant), else the whole body
+  const mainContent = body.find('main, article, .content, .main-content, #main-content, [role="main"]').first();
+  const textContent = mainContent.length > 0 ? mainContent.text() : body.text();
+
+  return textContent
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * FULL page content for page_description, with [H1]-[H6] and • markers
+ */
+function extractPageDescription($) {
+  const body = cleanBody($, BOILERPLATE_SELECTORS);
+  const contentParts = [];
+
+  // Headings with hierarchy
+  body.find('h1, h2, h3, h4, h5, h6').each((_, heading) => {
+    const text = $(heading).text().trim();
+    if (text.length > 0) {
+      const level = heading.tagName.match(/\d/)?.[0] || '1';
+      contentParts.push(`[H${level}] ${text}`);
+    }
+  });
+
+  // Paragraphs (only meaningful ones)
+  body.find('p').each((_, p) => {
+    const text = $(p).text().trim();
+    if (text.length > 10) {
+      contentParts.push(text);
+    }
+  });
+
+  // List items
+  body.find('li').each((_, li) => {
+    const text = $(li).text().trim();
+    if (text.length > 5) {
+      contentParts.push(`• ${text}`);
+    }
+  });
+
+  // Main content area if not much was captured yet
+  const mainContent = body.find('main, article, .content, .main-content, #main-content').first();
+  if (mainContent.length > 0 && contentParts.length < 5) {
+    const mainText = mainContent.text().trim();
+    if (mainText.length > 100) {
+      const mainParagraphs = mainText.split(/\n+/).filter(p => p.trim().length > 20);
+      contentParts.push(...mainParagraphs);
+    }
+  }
+
+  // Fallback: first sentences of the whole body
+  if (contentParts.length < 3) {
+    const allText = body.text().trim();
+    if (allText.length > 100) {
+      const sentences = allText.split(/[.!?]+\s+/).filter(s => s.trim().length > 20);
+      contentParts.push(...sentences.slice(0, 20));
+    }
+  }
+
+  return contentParts.join('\n\n').trim();
+}
+
+function elementText($, element) {
+  return $(element).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text fragment (:~:text=) that scrolls browsers to the given text
+ */
+function textFragment(text) {
+  // Text fragments also treat - , & as syntax, so escape them
+  return `:~:text=${encodeURIComponent(text.substring(0, 80).trim()).replace(/-/g, '%2D')}`;
+}
+
+/**
+ * Fragment that deep-links to an element: its own id, or that of an
+ * ancestor it leads (first heading in it), otherwise a text fragment
+ */
+function anchorFor($, element, text) {
+  const withId = $(element).closest('[id]');
+  const id = withId.attr('id');
+  if (id) {
+    const firstHeading = withId.find(HEADING_SELECTORS).get(0);
+    const leads = /^h[1-6]$/i.test(element.tagName) ? firstHeading === element : !firstHeading;
+    if (withId.get(0) === element || leads) {
+      return id;
+    }
+  }
+  return textFragment(text);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length).trim()}…` : text;
+}
+
+/**
+ * Ordered section tree: [{ heading, level, anchor, body, children }].
+ * Each body holds the paragraphs and list items (• prefixed) up to the next
+ * heading; text before the first heading goes into a section with heading null.
+ */
+function extractSections($) {
+  const body = cleanBody($, BOILERPLATE_SELECTORS);
+  const mainContent = body.find('main, article, [role="main"]').first();
+  const root = mainContent.length > 0 ? mainContent : body;
+
+  const sections = [];
+  const stack = [];
+  let current = null;
+  let count = 0;
+
+  root.find(`${HEADING_SELECTORS}, ${BLOCK_SELECTORS}`).each((_, element) => {
+    const tag = element.tagName.toLowerCase();
+
+    if (/^h[1-6]$/.test(tag)) {
+      const heading = elementText($, element);
+      if (!heading || count >= MAX_SECTIONS) return;
+      const level = parseInt(tag[1], 10);
+      const section = { heading, level, anchor: anchorFor($, element, heading), body: '', children: [] };
+      count++;
+
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      (stack.length > 0 ? stack[stack.length - 1].children : sections).push(section);
+      stack.push(section);
+      current = section;
+      return;
+    }
+
+    // Nested blocks (a <p> inside an <li>) are read with their parent
+    if ($(element).parents(BLOCK_SELECTORS).length > 0) return;
+    const text = elementText($, element);
+    if (text.length < 3) return;
+
+    if (!current) {
+      current = { heading: null, level: 0, anchor: null, body: '', children: [] };
+      sections.push(current);
+    }
+    if (current.body.length >= MAX_SECTION_BODY) return;
+    const block = tag === 'li' ? `• ${text}` : text;
+    current.body = truncate(current.body ? `${current.body}\n\n${block}` : block, MAX_SECTION_BODY);
+  });
+
+  return sections;
+}
+
+/**
+ * Question/answer pairs from FAQPage JSON-LD
+ */
+function faqsFromJsonLd($) {
+  const faqs = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('Question') && node.name) {
+      const answer = [].concat(node.acceptedAnswer || node.suggestedAnswer || [])[0];
+      if (answer?.text) {
+        // Answers are often HTML
+        faqs.push({ question: String(node.name), answer: cheerio.load(String(answer.text)).text() });
+      }
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  $('script[type="application/ld+json"]').each((_, script) => {
+    try {
+      visit(JSON.parse($(script).contents().text()));
+    } catch (error) {
+      // Ignore malformed JSON-LD
+    }
+  });
+  return faqs;
+}
+
+/**
+ * FAQ and question/answer blocks: [{ question, answer, anchor }].
+ * Read from FAQPage JSON-LD, schema.org Question microdata, <details>
+ * disclosures, and question-like headings/buttons/terms inside FAQ or
+ * accordion containers (the answer is the element that follows).
+ */
+function extractFaqs($) {
+  const body = cleanBody($, BOILERPLATE_SELECTORS);
+  const faqs = [];
+  const seen = new Set();
+
+  const add = (question, answer, element) => {
+    question = question.replace(/\s+/g, ' ').trim();
+    answer = answer.replace(/\s+/g, ' ').trim();
+    const key = question.toLowerCase();
+    if (!question || !answer || seen.has(key) || faqs.length >= MAX_FAQS) return;
+    seen.add(key);
+    faqs.push({
+      question,
+      answer: truncate(answer, MAX_FAQ_ANSWER),
+      anchor: element ? anchorFor($, element, question) : textFragment(question)
+    });
+  };
+
+  for (const faq of faqsFromJsonLd($)) {
+    add(faq.question, faq.answer, null);
+  }
+
+  body.find('[itemtype*="schema.org/Question"]').each((_, element) => {
+    const question = $(element).find('[itemprop="name"]').first();
+    const answer = $(element).find('[itemprop="acceptedAnswer"], [itemprop="suggestedAnswer"]').first();
+    add(question.text(), answer.text(), question.get(0));
+  });
+
+  body.find('details').each((_, element) => {
+    const summary = $(element).children('summary').first();
+    if (summary.length === 0) return;
+    const answer = $(element).clone();
+    answer.children('summary').remove();
+    add(summary.text(), answer.text(), summary.get(0));
+  });
+
+  body.find(FAQ_CONTAINER_SELECTORS).find('h2, h3, h4, h5, h6, button, dt, strong, [role="button"]').each((_, element) => {
+    const question = elementText($, element);
+    if (!question.endsWith('?')) return;
+    // The answer follows the question, or its wrapper (e.g. a button inside a header div)
+    let source = $(element);
+    let answer = source.next();
+    while (answer.length === 0 && source.parent().length > 0 && !source.parent().is(FAQ_CONTAINER_SELECTORS)) {
+      source = source.parent();
+      answer = source.next();
+    }
+    add(question, answer.text(), element);
+  });
+
+  return faqs;
+}
+
+/**
+ * Parse a date string to ISO. Dates without a time are kept on the same
+ * calendar day in UTC. Returns null if it isn't a date.
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const text = String(value).trim().replace(/(\d)(st|nd|rd|th)\b/, '$1');
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  if (/\d{1,2}:\d{2}/.test(text)) return date.toISOString();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return `${text}T00:00:00.000Z`;
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())).toISOString();
+}
+
+function cleanName(value) {
+  const name = String(value || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^(article\s+)?by\s*:?\s*/i, '')
+    .trim();
+  // Long strings are sentences, not names
+  if (!name || name.length > MAX_NAME_LENGTH || name.split(' ').length > 8) return null;
+  return name;
+}
+
+function uniqueNames(values, limit) {
+  const names = [];
+  const seen = new Set();
+  for (const value of values) {
+    const name = cleanName(value);
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      names.push(name);
+    }
+  }
+  return names.slice(0, limit);
+}
+
+function personNames(value) {
+  return [].concat(value || []).map(person => (typeof person === 'string' ? person : person?.name)).filter(Boolean);
+}
+
+/**
+ * Article/Event facts from JSON-LD: author, dates, keywords, performers
+ */
+function detailsFromJsonLd($) {
+  const details = { authors: [], published: null, eventDate: null, keywords: [], speakers: [], readTime: null };
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    const types = [].concat(node['@type'] || []).map(String);
+    if (types.some(type => /Article|BlogPosting|Report|WebPage/.test(type))) {
+      details.authors.push(...personNames(node.author));
+      details.published = details.published || toIsoDate(node.datePublished);
+      if (node.keywords) {
+        details.keywords.push(...(Array.isArray(node.keywords) ? node.keywords : String(node.keywords).split(',')));
+      }
+      const minutes = /^PT(\d+)M$/.exec(node.timeRequired || '');
+      details.readTime = details.readTime || (minutes ? parseInt(minutes[1], 10) : null);
+    }
+    if (types.some(type => /Event/.test(type))) {
+      details.eventDate = details.eventDate || toIsoDate(node.startDate);
+      details.speakers.push(...personNames(node.performer));
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  $('script[type="application/ld+json"]').each((_, script) => {
+    try {
+      visit(JSON.parse($(script).contents().text()));
+    } catch (error) {
+      // Ignore malformed JSON-LD
+    }
+  });
+  return details;
+}
+
+/**
+ * Text that follows a label such as "Article by" in the innermost element
+ * holding it, or the next element's text when the label stands alone
+ */
+function textAfterLabel($, body, labelPattern) {
+  if (!labelPattern.test(elementText($, body))) return null;
+
+  let holder = body;
+  for (;;) {
+    const child = holder.children().filter((_, element) => labelPattern.test(elementText($, element))).first();
+    if (child.length === 0) break;
+    holder = child;
+  }
+
+  const full = elementText($, holder);
+  const match = labelPattern.exec(full);
+  const rest = full.substring(match.index + match[0].length).replace(/^[\s:\-–]+/, '').trim();
+  return rest || elementText($, holder.next()) || null;
+}
+
+/**
+ * Author, publish date, read time and tags of articles, and speakers and
+ * date of webinars/events. Read from JSON-LD and meta tags first, then from
+ * the page text ("Article by", "Published on", "5 min read", speaker cards).
+ * Returns { author, publish_date, read_time_minutes, tags, speakers, event_date }.
+ */
+function extractArticleDetails($) {
+  const body = cleanBody($, BOILERPLATE_SELECTORS);
+  // Keep words in neighbouring elements apart ("7 min read" + "Article by")
+  body.find('*').append(' ');
+  const text = elementText($, body);
+  const jsonLd = detailsFromJsonLd($);
+
+  const author = uniqueNames([
+    ...jsonLd.authors,
+    $('meta[name="author"]').attr('content'),
+    $('meta[property="article:author"]').attr('content'),
+    $('[rel~="author"], [itemprop="author"]').first().text()
+  ].filter(value => value && !/^https?:/.test(value)), 1)[0] ||
+    cleanName((textAfterLabel($, body, /\b(article|written|posted)\s+by\b/i) || '').split(/\s*[|•·]\s*|\s{2,}/)[0]) ||
+    null;
+
+  const publishedText = new RegExp(`\\b(?:published|posted)(?: on)?\\s*:?\\s*${DATE_PATTERN}`, 'i').exec(text);
+  const publish_date = jsonLd.published ||
+    toIsoDate($('meta[property="article:published_time"]').attr('content')) ||
+    toIsoDate($('meta[name="publish_date"], meta[name="date"]').attr('content')) ||
+    toIsoDate(publishedText?.[1]) ||
+    toIsoDate(body.find('time[datetime]').first().attr('datetime')) ||
+    null;
+
+  const readTime = /(\d{1,3})\s*-?\s*min(?:ute)?s?\.?\s+read\b/i.exec(text);
+  const read_time_minutes = jsonLd.readTime || (readTime ? parseInt(readTime[1], 10) : null);
+
+  const metaTags = $('meta[property="article:tag"]').map((_, meta) => $(meta).attr('content')).get();
+  const pageTags = body.find(TAG_SELECTORS).map((_, element) => elementText($, element)).get();
+  const tags = uniqueNames([...metaTags, ...jsonLd.keywords, ...pageTags].map(tag => String(tag).replace(/^#/, '')), MAX_TAGS);
+
+  // Speaker cards: the name is the card's heading or name element
+  const cardNames = [];
+  body.find(SPEAKER_SELECTORS).each((_, card) => {
+    if (/name/i.test($(card).attr('class') || '')) {
+      cardNames.push(elementText($, card));
+      return;
+    }
+    if ($(card).find(SPEAKER_SELECTORS).length > 0) return;
+    const name = $(card).find('[class*="name" i], h3, h4, h5, h6, strong').first();
+    if (name.length > 0) cardNames.push(elementText($, name));
+  });
+  const speakers = uniqueNames([...jsonLd.speakers, ...cardNames], MAX_SPEAKERS)
+    .filter(name => !/^speakers?$/i.test(name));
+
+  const eventText = new RegExp(`\\b(?:date|webinar on|event on|held on|aired on)\\s*:?\\s*${DATE_PATTERN}`, 'i').exec(text);
+  const event_date = jsonLd.eventDate ||
+    toIsoDate($('meta[property="event:start_time"]').attr('content')) ||
+    toIsoDate(eventText?.[1]) ||
+    null;
+
+  return { author, publish_date, read_time_minutes, tags, speakers, event_date };
+}
+
+/**
+ * Absolute URLs of the page's links on the same host (no fragments, no files)
+ */
+function extractLinks($, pageUrl) {
+  let base;
+  try {
+    base = new URL(pageUrl);
+  } catch (error) {
+    return [];
+  }
+
+  const links = new Set();
+  $('a[href]').each((_, a) => {
+    const href = ($(a).attr('href') || '').trim();
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return;
+
+    let link;
+    try {
+      link = new URL(href, base);
+    } catch (error) {
+      return;
+    }
+    if (!/^https?:$/.test(link.protocol) || link.host !== base.host) return;
+    if (NON_PAGE_EXTENSIONS.test(link.pathname)) return;
+
+    link.hash = '';
+    links.add(link.toString());
+  });
+
+  return [...links];
+}
+
+/**
+ * Run every extractor over a page's HTML.
+ * Returns the cheerio root too, for the categorizer.
+ */
+function extractPage(html, pageUrl) {
+  const $ = cheerio.load(html);
+  return {
+    $,
+    title: extractTitle($),
+    description: extractDescription($),
+    rawText: extractRawText($),
+    pageDescription: extractPageDescription($),
+    sections: extractSections($),
+    faqs: extractFaqs($),
+    details: extractArticleDetails($),
+    links: extractLinks($, pageUrl)
+  };
+}
+
+module.exports = {
+  extractTitle,
+  extractDescription,
+  extractRawText,
+  extractPageDescription,
+  extractSections,
+  extractFaqs,
+  extractArticleDetails,
+  extractLinks,
+  extractPage
+};
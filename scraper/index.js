@@ -1,72 +1,73 @@
 // Load environment variables from root .env file
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const axios = require('axios');
 const cheerio = require('cheerio');
-const { chromium } = require('playwright');
 const crypto = require('crypto');
 const xml2js = require('xml2js');
 const { promisify } = require('util');
 const parseXML = promisify(xml2js.parseString);
+const {
+  INDEX_NAME,
+  DEFAULT_SYNONYMS_SET,
+  buildIndexDefinition,
+  toSearchDocument,
+  versionedIndexName
+} = require('../backend/api/index-definition');
+const { normalizeUrlToProduction, urlKey } = require('./urls');
+const { runTombstones } = require('./tombstone');
+const { createBrowserPool, processQueue } = require('./browser-pool');
+const { extractPage } = require('./extract');
+const { classifyPage } = require('./categorizer');
+const { classificationFields, reviewFields } = require('./category-review');
+const { createCrawlState, printRunSummary } = require('./crawl-state');
+const { fetchRobotsPolicy } = require('./robots');
+const { DISCOVERY_CONFIG, matchesPatterns, createDiscovery } = require('./discovery');
+const { stableStringify, diffFields, printDiff } = require('./diff');
+const { acquireLock } = require('./run-lock');
 
 const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1400';
 const STRAPI_API_KEY = process.env.STRAPI_API_KEY;
 const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
 const ROBOTS_URL = process.env.ROBOTS_URL || 'https://i2e-website-dev-nextjs.azurewebsites.net/robots.txt';
-const PRODUCTION_DOMAIN = 'i2econsulting.com';
-const DEV_DOMAIN = 'i2e-website-dev-nextjs.azurewebsites.net';
+const SYNONYMS_SET = process.env.ELASTICSEARCH_SYNONYMS_SET || DEFAULT_SYNONYMS_SET;
+// Sent with every request and matched against robots.txt user-agent groups
+const SCRAPER_USER_AGENT = 'i2e-scraper/1.0';
+// Crawl parallelism: pages scraped at once, and at once / min spacing per host
+const SCRAPER_CONCURRENCY = parseInt(process.env.SCRAPER_CONCURRENCY) || 4;
+const SCRAPER_PER_HOST_LIMIT = parseInt(process.env.SCRAPER_PER_HOST_LIMIT) || 2;
+const SCRAPER_HOST_DELAY_MS = parseInt(process.env.SCRAPER_HOST_DELAY_MS) || 250;
+// Create Strapi items for sitemap pages that aren't stored yet (default: update existing items only)
+const CREATE_ITEMS = process.env.SCRAPER_CREATE_ITEMS === 'true';
+// Fetch raw HTML first and only render in Playwright when it looks incomplete
+const SCRAPER_STATIC_FIRST = process.env.SCRAPER_STATIC_FIRST !== 'false';
+const SCRAPER_STATIC_MIN_TEXT = parseInt(process.env.SCRAPER_STATIC_MIN_TEXT) || 200;
+const SCRAPER_STATIC_TIMEOUT_MS = parseInt(process.env.SCRAPER_STATIC_TIMEOUT_MS) || 15000;
 
-/**
- * Normalize URL from dev domain to production domain
- * Scrapes from dev but stores with production URLs
- */
-function normalizeUrlToProduction(url) {
-  if (!url || typeof url !== 'string') {
-    return url;
-  }
-  
-  try {
-    // Replace dev domain with production domain
-    let normalizedUrl = url.replace(
-      new RegExp(`https?://${DEV_DOMAIN.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'gi'),
-      (match) => {
-        // Preserve http/https protocol
-        return match.replace(DEV_DOMAIN, PRODUCTION_DOMAIN);
-      }
-    );
-    
-    // Ensure www prefix for consistency (most production sites use www)
-    // This matches what's likely in the database
-    if (!normalizedUrl.includes('www.') && normalizedUrl.includes('://')) {
-      normalizedUrl = normalizedUrl.replace('://', '://www.');
-    }
-    
-    return normalizedUrl;
-  } catch (error) {
-    console.error(`Error normalizing URL ${url}:`, error.message);
-    return url; // Return original if normalization fails
-  }
-}
+// One Chromium shared by every page of a run (launched on first use)
+const browserPool = createBrowserPool({
+  concurrency: SCRAPER_CONCURRENCY,
+  perHostLimit: SCRAPER_PER_HOST_LIMIT,
+  hostDelayMs: SCRAPER_HOST_DELAY_MS,
+  userAgent: SCRAPER_USER_AGENT
+});
 
+// Set for the current run by the CLI's --dry-run: Strapi and Elasticsearch
+// writes are printed as diffs instead of being sent
+let dryRun = false;
 
 /**
- * Fetch robots.txt and extract sitemap URLs
+ * Fetch robots.txt: sitemap URLs, Allow/Disallow rules and Crawl-delay for our user agent.
+ * A declared Crawl-delay paces page requests to that host, one at a time.
  */
-async function fetchRobotsTxt() {
+async function loadRobotsPolicy() {
   try {
-    const response = await axios.get(ROBOTS_URL);
-    const lines = response.data.split('\n');
-    const sitemapUrls = [];
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.toLowerCase().startsWith('sitemap:')) {
-        const url = trimmed.substring(8).trim();
-        if (url) {
-          sitemapUrls.push(url);
-        }
-      }
+    const robots = await fetchRobotsPolicy(ROBOTS_URL, { userAgent: SCRAPER_USER_AGENT });
+    if (robots.crawlDelayMs !== null) {
+      const delayMs = Math.max(robots.crawlDelayMs, SCRAPER_HOST_DELAY_MS);
+      browserPool.setHostPolicy(robots.host, { limit: 1, delayMs });
+      console.log(`✓ robots.txt Crawl-delay: one request to ${robots.host} every ${delayMs}ms`);
     }
-    
-    return sitemapUrls;
+    return robots;
   } catch (error) {
     console.error('Error fetching robots.txt:', error.message);
     throw error;
@@ -140,543 +141,12 @@ function generateFallbackSummary(fullContent) {
   return summary;
 }
 
-/**
- * NEW Categorization Logic Based on Requirements
- */
-function categorizePageNew($, html, url) {
-  const urlLower = url.toLowerCase();
-  const htmlLower = html.toLowerCase();
-  const bodyText = $('body').text().toLowerCase();
-
-  // Get breadcrumb text - handle React-rendered breadcrumbs with custom classes
-  const breadcrumbSelectors = [
-    'nav.breadcrumb',
-    '.breadcrumb',
-    '.breadcrumb.opensans-text', // Webinar breadcrumb pattern
-    '.banner-breadcrumb',
-    '.hero .breadcrumb',
-    '.hero-banner .breadcrumb',
-    '[class*="breadcrumb"]',
-    '[class*="baneerCrumb"]', // Typo version: baneerCrumb
-    '[class*="BaneerCrumb"]', // Capitalized typo
-    'nav[aria-label*="breadcrumb"]',
-    'ol.breadcrumb',
-    'ul.breadcrumb',
-    // React-rendered patterns: look for spans with crumb classes
-    'span[class*="crumb"]',
-    'span.baneerCrumb',
-    // Look for divs containing breadcrumb structure
-    'div:has(span[class*="crumb"])',
-    'div:has(a[class*="crumb"])'
-  ];
-
-  let breadcrumbText = '';
-  let foundSelector = '';
-  
-  // First, try to find parent container with all breadcrumb spans
-  // Look for divs/containers that have multiple spans with baneerCrumb class
-  const crumbSpans = $('span[class*="baneerCrumb"], span.baneerCrumb');
-  if (crumbSpans.length > 0) {
-    // Get the parent container that holds all breadcrumb spans
-    const parentContainer = crumbSpans.first().parent();
-    if (parentContainer.length > 0) {
-      breadcrumbText = parentContainer.text().toLowerCase();
-      foundSelector = 'parent of span.baneerCrumb';
-    }
-  }
-  
-  // If not found, try standard selectors
-  if (!breadcrumbText || breadcrumbText.length === 0) {
-    for (const selector of breadcrumbSelectors) {
-      try {
-        const breadcrumb = $(selector).first();
-        if (breadcrumb.length > 0) {
-          // Get all text content including nested elements
-          breadcrumbText = breadcrumb.text().toLowerCase();
-          if (breadcrumbText && breadcrumbText.trim().length > 0) {
-            foundSelector = selector;
-            break;
-          }
-        }
-      } catch (e) {
-        // Skip selectors that don't work (like :has() in older cheerio)
-        continue;
-      }
-    }
-  }
-  
-  // Also try to find breadcrumbs by looking for "Home" links followed by other links
-  if (!breadcrumbText || breadcrumbText.length === 0) {
-    // Look for links containing "Home" and get siblings
-    const homeLinks = $('a').filter((i, el) => {
-      const text = $(el).text().toLowerCase().trim();
-      return text === 'home' || text.includes('home');
-    });
-    
-    if (homeLinks.length > 0) {
-      // Get parent container - try going up multiple levels to find the breadcrumb container
-      let parent = homeLinks.first().parent();
-      let level = 0;
-      while (parent.length > 0 && level < 5) {
-        const parentText = parent.text().toLowerCase();
-        // Check if parent contains multiple breadcrumb items (Home + something else)
-        const links = parent.find('a');
-        if (links.length > 1) {
-          breadcrumbText = parentText;
-          break;
-        }
-        parent = parent.parent();
-        level++;
-      }
-    }
-  }
-
-  // 1. URL-based categorization (highest priority)
-  if (urlLower.includes('/event')) {
-    return 'events';
-  }
-  if (urlLower.includes('/webinar')) {
-    return 'webinar';
-  }
-  if (urlLower.includes('/whitepaper')) {
-    return 'whitepaper';
-  }
-  if (urlLower.includes('/case-studies') || urlLower.includes('/case-study')) {
-    return 'case-studies';
-  }
-  if (urlLower.includes('/blog')) {
-    return 'blogs';
-  }
-
-  // 2. Breadcrumb-based categorization
-  if (breadcrumbText) {
-    // Check for webinar in breadcrumb (e.g., "Resource Center > Webinar")
-    if (breadcrumbText.includes('webinar') || breadcrumbText.includes('resource center')) {
-      return 'webinar';
-    }
-    if (breadcrumbText.includes('services')) {
-      return 'services';
-    }
-    if (breadcrumbText.includes('technology') || breadcrumbText.includes('technologies')) {
-      return 'technologies';
-    }
-    if (breadcrumbText.includes('solutions')) {
-      return 'solutions';
-    }
-    if (breadcrumbText.includes('partners') || breadcrumbText.includes('partner')) {
-      return 'partners';
-    }
-    if (breadcrumbText.includes('careers') || breadcrumbText.includes('jobs')) {
-      return 'careers';
-    }
-    if (breadcrumbText.includes('about us') || breadcrumbText.includes('about-us') || breadcrumbText.includes('about')) {
-      return 'about-us';
-    }
-    if (breadcrumbText.includes('our experts') || breadcrumbText.includes('expert')) {
-      return 'people';
-    }
-    if (breadcrumbText.includes('whitepaper') || breadcrumbText.includes('white paper')) {
-      return 'whitepaper';
-    }
-  }
-
-  // 3. Content marker-based categorization
-
-  // Blogs: Must have BOTH "jump to section" AND "article by"
-  const hasJumpToSection = bodyText.includes('jump to section') || htmlLower.includes('jump to section');
-  const hasArticleBy = bodyText.includes('article by') || htmlLower.includes('article by');
-  if (hasJumpToSection && hasArticleBy) {
-    return 'blogs';
-  }
-
-  // Case Studies: Must have ALL: client && industry && duration && business case
-  const hasClient = bodyText.includes('client') || htmlLower.includes('client');
-  const hasIndustry = bodyText.includes('industry') || htmlLower.includes('industry');
-  const hasDuration = bodyText.includes('duration') || htmlLower.includes('duration');
-  const hasBusinessCase = bodyText.includes('business case') || htmlLower.includes('business case');
-  if (hasClient && hasIndustry && hasDuration && hasBusinessCase) {
-    return 'case-studies';
-  }
-
-  // Whitepaper: Breadcrumb has whitepaper OR tag in banner is whitepaper
-  const bannerSelectors = ['.hero', '.hero-banner', '.banner', '[class*="banner"]', '[class*="hero"]'];
-  for (const selector of bannerSelectors) {
-    const banner = $(selector).first();
-    if (banner.length > 0) {
-      const bannerText = banner.text().toLowerCase();
-      if (bannerText.includes('whitepaper')) {
-        return 'whitepaper';
-      }
-    }
-  }
-
-  // Webinar: Tag "completed webinar" in banner/content
-  const hasCompletedWebinar = bodyText.includes('completed webinar') || htmlLower.includes('completed webinar');
-  if (hasCompletedWebinar) {
-    return 'webinar';
-  }
-
-  // Default fallback
-  return 'landing-page';
-}
-
-/**
- * STEP 2: Extract category from breadcrumb
- * Returns second breadcrumb (first after "Home") or null if no breadcrumb found
- */
-function getCategoryFromBreadcrumb($) {
-  // Look for breadcrumbs in various locations - handle React-rendered breadcrumbs
-  const breadcrumbSelectors = [
-    'nav.breadcrumb',
-    '.breadcrumb',
-    '.breadcrumb.opensans-text', // Webinar breadcrumb pattern
-    '.banner-breadcrumb',
-    '.hero .breadcrumb',
-    '.hero-banner .breadcrumb',
-    '[class*="breadcrumb"]',
-    '[class*="baneerCrumb"]', // Typo version: baneerCrumb
-    '[class*="BaneerCrumb"]', // Capitalized typo
-    'nav[aria-label*="breadcrumb"]',
-    'ol.breadcrumb',
-    'ul.breadcrumb',
-    // React-rendered patterns: look for spans with crumb classes
-    'span[class*="crumb"]',
-    'span.baneerCrumb',
-    // Look for containers with breadcrumb-like structure
-    'div:has(span[class*="crumb"])',
-    'div:has(a[class*="crumb"])'
-  ];
-  
-  for (const selector of breadcrumbSelectors) {
-    const breadcrumb = $(selector).first();
-    if (breadcrumb.length > 0) {
-      // First, try to get breadcrumb items from structured lists (<li> elements)
-      const listItems = breadcrumb.find('li');
-      if (listItems.length > 0) {
-        // Find "Home" and get the next item
-        for (let i = 0; i < listItems.length; i++) {
-          const itemText = listItems.eq(i).text().trim().toLowerCase();
-          if (itemText.includes('home') && i < listItems.length - 1) {
-            // Get the next item after Home
-            const nextItem = listItems.eq(i + 1);
-            const nextItemText = nextItem.text().trim();
-            // Remove any separators or icons
-            const cleanText = nextItemText.replace(/[›>\|→\/\s]+/g, ' ').trim();
-            if (cleanText.length > 0 && !cleanText.toLowerCase().includes('home')) {
-              return cleanText;
-            }
-          }
-        }
-        // If Home not found but we have items, get the second item (assuming first is Home)
-        if (listItems.length > 1) {
-          const secondItem = listItems.eq(1);
-          const secondItemText = secondItem.text().trim();
-          const cleanText = secondItemText.replace(/[›>\|→\/\s]+/g, ' ').trim();
-          if (cleanText.length > 0 && !cleanText.toLowerCase().includes('home')) {
-            return cleanText;
-          }
-        }
-      }
-      
-      // Also check for links/anchors (more reliable)
-      const links = breadcrumb.find('a');
-      if (links.length > 0) {
-        // Find "Home" link and get the next link
-        for (let i = 0; i < links.length; i++) {
-          const linkText = links.eq(i).text().trim().toLowerCase();
-          if (linkText.includes('home') && i < links.length - 1) {
-            // Get the next link after Home
-            const nextLink = links.eq(i + 1);
-            const nextLinkText = nextLink.text().trim();
-            if (nextLinkText.length > 0) {
-              return nextLinkText;
-            }
-          }
-        }
-        // If Home not found but we have links, get the second link (assuming first is Home)
-        if (links.length > 1) {
-          const secondLink = links.eq(1);
-          const secondLinkText = secondLink.text().trim();
-          if (secondLinkText.length > 0 && !secondLinkText.toLowerCase().includes('home')) {
-            return secondLinkText;
-          }
-        }
-      }
-      
-      // Check for spans with crumb classes (React-rendered breadcrumbs)
-      const crumbSpans = breadcrumb.find('span[class*="crumb"], span.baneerCrumb');
-      if (crumbSpans.length > 0) {
-        // Find spans containing links or text
-        const crumbTexts = [];
-        crumbSpans.each((i, el) => {
-          const span = $(el);
-          const link = span.find('a').first();
-          if (link.length > 0) {
-            const linkText = link.text().trim();
-            if (linkText && linkText.toLowerCase() !== 'home') {
-              crumbTexts.push(linkText);
-            }
-          } else {
-            const spanText = span.text().trim();
-            // Remove separators like ›
-            const cleanSpanText = spanText.replace(/[›>\|→\/\s]+/g, ' ').trim();
-            if (cleanSpanText && cleanSpanText.toLowerCase() !== 'home') {
-              crumbTexts.push(cleanSpanText);
-            }
-          }
-        });
-        
-        // Get the first non-Home breadcrumb
-        for (const text of crumbTexts) {
-          const cleanText = text.replace(/[›>\|→\/\s]+/g, ' ').trim();
-          if (cleanText.length > 0 && !cleanText.toLowerCase().includes('home')) {
-            return cleanText;
-          }
-        }
-      }
-      
-      // Fallback: Get text content and parse
-      const text = breadcrumb.text().trim();
-      // Split by common separators: ›, >, /, |, →
-      const parts = text.split(/[›>\|→\/]/).map(p => p.trim()).filter(p => p.length > 0 && !p.toLowerCase().includes('home'));
-      
-      // Get the second part (first after Home)
-      if (parts.length > 0) {
-        // If first part is Home, get second; otherwise get first
-        const firstPart = parts[0].toLowerCase();
-        if (firstPart.includes('home') && parts.length > 1) {
-          return parts[1];
-        } else if (!firstPart.includes('home')) {
-          return parts[0];
-        }
-      }
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Check if breadcrumb contains "webinar" anywhere
- */
-function breadcrumbContainsWebinar($) {
-  const breadcrumbSelectors = [
-    'nav.breadcrumb',
-    '.breadcrumb',
-    '.breadcrumb.opensans-text', // Webinar breadcrumb pattern
-    '.banner-breadcrumb',
-    '.hero .breadcrumb',
-    '.hero-banner .breadcrumb',
-    '[class*="breadcrumb"]',
-    '[class*="baneerCrumb"]', // Typo version
-    'nav[aria-label*="breadcrumb"]',
-    'ol.breadcrumb',
-    'ul.breadcrumb',
-    'span[class*="crumb"]',
-    'span.baneerCrumb'
-  ];
-  
-  for (const selector of breadcrumbSelectors) {
-    try {
-      const breadcrumb = $(selector).first();
-      if (breadcrumb.length > 0) {
-        const breadcrumbText = breadcrumb.text().toLowerCase();
-        // Check if "webinar" or "resource center" appears anywhere in the breadcrumb
-        if (breadcrumbText.includes('webinar') || breadcrumbText.includes('resource center')) {
-          return true;
-        }
-      }
-    } catch (e) {
-      continue;
-    }
-  }
-  
-  return false;
-}
-
-/**
- * Map breadcrumb term to category
- */
-function mapBreadcrumbToCategory(breadcrumbTerm) {
-  if (!breadcrumbTerm) return null;
-  
-  const term = breadcrumbTerm.toLowerCase();
-  
-  // Check for webinar first (highest priority)
-  if (term.includes('webinar')) {
-    return 'webinar';
-  }
-  
-  if (term.includes('career')) {
-    return 'careers';
-  }
-  if (term.includes('partner')) {
-    return 'partners';
-  }
-  if (term.includes('expert')) {
-    return 'our-experts';
-  }
-  if (term.includes('about')) {
-    return 'about-us';
-  }
-  if (term.includes('technolog')) {
-    return 'technologies';
-  }
-  if (term.includes('solution')) {
-    return 'solutions';
-  }
-  if (term.includes('service')) {
-    return 'services';
-  }
-  
-  return null;
-}
-
-/**
- * STEP 3: Detect category from page layout
- * For pages without breadcrumbs (old blog, case study, webinar, whitepaper)
- */
-function getCategoryFromLayout($, html) {
-  const htmlLower = html.toLowerCase();
-  const bodyText = $('body').text().toLowerCase();
-  
-  // PRIORITY 1: Check hero banner for "Completed Webinar" (exact match)
-  const heroSelectors = [
-    '.hero',
-    '.hero-banner',
-    '.banner',
-    '[class*="hero"]',
-    '[class*="banner"]',
-    'header .hero',
-    'header .banner',
-    'section.hero',
-    'section.banner',
-    '.page-header',
-    '.header-banner'
-  ];
-  
-  for (const selector of heroSelectors) {
-    const hero = $(selector).first();
-    if (hero.length > 0) {
-      const heroText = hero.text();
-      // Check for exact phrase "Completed Webinar" (case-insensitive, word boundaries)
-      if (heroText.match(/\bCompleted Webinar\b/i)) {
-        return 'webinar';
-      }
-    }
-  }
-  
-  // Also check HTML content directly for "Completed Webinar" in case hero selector doesn't match
-  if (htmlLower.match(/\bcompleted webinar\b/i)) {
-    return 'webinar';
-  }
-  
-  // PRIORITY 2: Check for "related content" anywhere on page (exact match)
-  // This indicates a blog page
-  if (bodyText.match(/\brelated content\b/i) || htmlLower.match(/\brelated content\b/i)) {
-    return 'blogs';
-  }
-  
-  // Case Study: client & industry & duration & Business case & results
-  const caseStudyMarkers = [
-    bodyText.includes('client'),
-    bodyText.includes('industry'),
-    bodyText.includes('duration'),
-    bodyText.includes('business case'),
-    bodyText.includes('results')
-  ];
-  if (caseStudyMarkers.filter(Boolean).length >= 4) {
-    return 'case-studies';
-  }
-  
-  // Blog: article by & jump to section & share option (all three required)
-  const hasArticleBy = bodyText.includes('article by');
-  const hasJumpToSection = bodyText.includes('jump to section');
-  const hasShareOption = (
-    $('.share').length > 0 || 
-    $('[class*="share"]').length > 0 || 
-    $('a[href*="facebook"]').length > 0 || 
-    $('a[href*="twitter"]').length > 0 ||
-    $('a[href*="linkedin"]').length > 0 ||
-    $('a[href*="share"]').length > 0 ||
-    bodyText.includes('share this') ||
-    bodyText.includes('share article')
-  );
-  
-  if (hasArticleBy && hasJumpToSection && hasShareOption) {
-    return 'blogs';
-  }
-  
-  // Whitepaper: download now or download whitepaper
-  const whitepaperMarkers = [
-    bodyText.includes('download now'),
-    bodyText.includes('download whitepaper')
-  ];
-  if (whitepaperMarkers.some(Boolean)) {
-    return 'whitepaper';
-  }
-  
-  // Webinar: gated form with button "watch now"
-  const webinarMarkers = [
-    $('form').length > 0,
-    ($('button').text().toLowerCase().includes('watch now') ||
-     $('input[type="submit"]').val()?.toLowerCase().includes('watch now') ||
-     bodyText.includes('watch now'))
-  ];
-  if (webinarMarkers.every(Boolean)) {
-    return 'webinar';
-  }
-  
-  return null;
-}
-
-/**
- * Main categorization function with priority order:
- * STEP 1: Sitemap-based categorization
- * STEP 2: Breadcrumb-based categorization (for static pages)
- * STEP 3: Layout-based categorization (for pages without breadcrumbs)
- */
-function categorizePage($, html, sitemapSource) {
-  try {
-    // STEP 1: Check sitemap source
-    const sitemapCategory = getCategoryFromSitemap(sitemapSource);
-    if (sitemapCategory && sitemapCategory !== 'static') {
-      return sitemapCategory;
-    }
-    
-    // STEP 2: For static pages or unknown sitemaps, check breadcrumbs
-    // FIRST: Check if breadcrumb contains "webinar" anywhere (special case)
-    if (breadcrumbContainsWebinar($)) {
-      return 'webinar';
-    }
-    
-    const breadcrumbTerm = getCategoryFromBreadcrumb($);
-    if (breadcrumbTerm) {
-      const breadcrumbCategory = mapBreadcrumbToCategory(breadcrumbTerm);
-      if (breadcrumbCategory) {
-        return breadcrumbCategory;
-      }
-    }
-    
-    // STEP 3: If no breadcrumb, check layout (old blog, case study, webinar, whitepaper)
-    const layoutCategory = getCategoryFromLayout($, html);
-    if (layoutCategory) {
-      return layoutCategory;
-    }
-    
-    // Fallback: landing-page
-    return 'landing-page';
-  } catch (error) {
-    console.error(`Error categorizing page:`, error.message);
-    return 'landing-page'; // Fallback on error
-  }
-}
-
 /**
  * Parse sitemap XML recursively
  * Tracks sitemap source for category detection
+ * Sitemaps that fail to load are added to failures (and otherwise skipped)
  */
-async function parseSitemap(sitemapUrl, visited = new Set(), parentSitemap = null) {
+async function parseSitemap(sitemapUrl, visited = new Set(), parentSitemap = null, failures = []) {
   if (visited.has(sitemapUrl)) {
     return [];
   }
@@ -704,7 +174,7 @@ async function parseSitemap(sitemapUrl, visited = new Set(), parentSitemap = nul
       for (const sitemap of sitemaps) {
         const loc = sitemap.loc[0];
         // Pass current sitemap URL as parent for nested sitemaps
-        const nestedUrls = await parseSitemap(loc, visited, sitemapUrl);
+        const nestedUrls = await parseSitemap(loc, visited, sitemapUrl, failures);
         urls.push(...nestedUrls);
       }
     }
@@ -733,28 +203,133 @@ async function parseSitemap(sitemapUrl, visited = new Set(), parentSitemap = nul
     return urls;
   } catch (error) {
     console.error(`Error parsing sitemap ${sitemapUrl}:`, error.message);
+    failures.push(sitemapUrl);
     return [];
   }
 }
 
 /**
- * Scrape metadata, full page content, and detect category from a URL using Playwright
+ * Article/webinar detail fields (author, dates, read time, tags, speakers)
+ * of scraped metadata or a stored item, with empty defaults
  */
-async function scrapeMetadata(url, sitemapSource) {
-  let browser = null;
-  try {
-    // Launch browser
-    browser = await chromium.launch({ 
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    const context = await browser.newContext({
-      userAgent: 'i2e-scraper/1.0'
+function pageDetails(source = {}) {
+  return {
+    author: source.author || null,
+    publish_date: source.publish_date || null,
+    read_time_minutes: source.read_time_minutes || null,
+    tags: source.tags || [],
+    speakers: source.speakers || [],
+    event_date: source.event_date || null
+  };
+}
+
+/**
+ * "rule <id>: <reason>, confidence <n>" for a classifyPage result
+ */
+function describeClassification(classification) {
+  return `rule ${classification.rule}: ${classification.reason}, confidence ${classification.confidence}`;
+}
+
+/**
+ * Build the stored fields for a page from its HTML (static or rendered).
+ * classification names the category rule that fired (see categorizer.js).
+ */
+async function buildMetadata(html, url, sitemapSource = null) {
+  const { $, title, description, rawText, pageDescription, sections, faqs, details, links } = extractPage(html, url);
+
+  // Generate summary using RAW page content (not pageDescription)
+  const content = await generateSmartSummary(rawText, title, url);
+
+  // Note: We use the original scrape URL for categorization as content is from dev
+  const classification = classifyPage($, html, { url, sitemapSource });
+
+  return {
+    title: title.substring(0, 500),
+    description: description.substring(0, 1000),
+    content: content,
+    page_description: pageDescription, // Full page content with all details
+    sections, // Heading tree with each heading's text, for deep links
+    faqs,
+    ...details,
+    category: classification.category,
+    classification,
+    links,
+    rawTextLength: rawText.length
+  };
+}
+
+/**
+ * Why a static-HTML result can't be trusted (null when it looks complete).
+ * Client-rendered pages ship an empty app shell and little or no text.
+ */
+function staticResultIncomplete(html, metadata) {
+  if (!metadata.title) {
+    return 'no title';
+  }
+  if (metadata.rawTextLength < SCRAPER_STATIC_MIN_TEXT) {
+    return `only ${metadata.rawTextLength} characters of text`;
+  }
+  const $ = cheerio.load(html);
+  const shell = $('#__next, #root, #app').first();
+  if (shell.length > 0 && shell.text().trim().length === 0) {
+    return 'empty app shell';
+  }
+  return null;
+}
+
+/**
+ * HTTP cache validators from a response's headers
+ */
+function cacheValidators(headers = {}) {
+  return {
+    etag: headers['etag'] || null,
+    lastModified: headers['last-modified'] || null
+  };
+}
+
+/**
+ * Fetch the raw HTML without a browser.
+ * With validators from an earlier scrape the request is conditional, and
+ * { notModified: true } comes back when the server answers 304.
+ */
+async function fetchStaticHtml(url, validators = null) {
+  const conditionalHeaders = {};
+  if (validators?.etag) {
+    conditionalHeaders['If-None-Match'] = validators.etag;
+  }
+  if (validators?.lastModified) {
+    conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+  }
+
+  return browserPool.throttle(url, async () => {
+    const response = await axios.get(url, {
+      timeout: SCRAPER_STATIC_TIMEOUT_MS,
+      responseType: 'text',
+      headers: {
+        'User-Agent': SCRAPER_USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml',
+        ...conditionalHeaders
+      },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
     });
-    const page = await context.newPage();
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !contentType.includes('html')) {
+      throw new Error(`Unexpected content type ${contentType}`);
+    }
+    return { html: response.data, validators: cacheValidators(response.headers) };
+  });
+}
 
+/**
+ * Render the page in the shared Playwright browser and return its HTML
+ */
+async function fetchRenderedHtml(url) {
+  return browserPool.withPage(url, async (page) => {
     // Navigate to page and wait for content to load
-    await page.goto(url, { 
+    const response = await page.goto(url, { 
       waitUntil: 'networkidle',
       timeout: 30000 
     });
@@ -763,185 +338,111 @@ async function scrapeMetadata(url, sitemapSource) {
     await page.waitForTimeout(2000);
 
     // Get page HTML after JavaScript execution
-    const html = await page.content();
-    const $ = cheerio.load(html);
-
-    // Extract meta title
-    const title = await page.evaluate(() => {
-      return document.querySelector('meta[property="og:title"]')?.content ||
-             document.querySelector('title')?.textContent?.trim() ||
-             '';
-    });
-
-    // Extract meta description
-    const description = await page.evaluate(() => {
-      return document.querySelector('meta[name="description"]')?.content ||
-             document.querySelector('meta[property="og:description"]')?.content ||
-             '';
-    });
-
-    // Extract RAW page text content for summary (no markers, just pure text)
-    const rawPageContent = await page.evaluate(() => {
-      // Clone body to avoid modifying the original
-      const bodyClone = document.body.cloneNode(true);
-      
-      // Remove unwanted elements (scripts, styles, navigation, footer, header)
-      const unwantedSelectors = [
-        'script', 'style', 'nav', 'footer', 'header', 
-        'aside', '.sidebar', '.menu', '.navigation',
-        '.cookie-banner', '.cookie-consent', '[class*="cookie"]',
-        '[id*="cookie"]', '.skip-link', '.sr-only',
-        'button', '[role="button"]', '.btn', '.button'
-      ];
-      
-      unwantedSelectors.forEach(selector => {
-        try {
-          bodyClone.querySelectorAll(selector).forEach(el => el.remove());
-        } catch (e) {
-          // Ignore errors
-        }
-      });
-
-      // Extract main content area first (most relevant)
-      const mainContent = bodyClone.querySelector('main, article, .content, .main-content, #main-content, [role="main"]');
-      let textContent = '';
-      
-      if (mainContent) {
-        textContent = mainContent.textContent || '';
-      } else {
-        // Fallback to body if no main content area
-        textContent = bodyClone.textContent || '';
-      }
-      
-      // Clean up the text: remove extra whitespace, normalize newlines
-      return textContent
-        .replace(/\s+/g, ' ') // Replace all whitespace with single space
-        .replace(/\n+/g, '\n') // Normalize newlines
-        .trim();
-    });
+    return {
+      html: await page.content(),
+      validators: cacheValidators(response ? response.headers() : {})
+    };
+  });
+}
 
-    // Extract FULL page content (all details) for page_description field (with structured markers)
-    const pageDescription = await page.evaluate(() => {
-      // Clone body to avoid modifying the original
-      const bodyClone = document.body.cloneNode(true);
-      
-      // Remove unwanted elements (scripts, styles, navigation, footer, header)
-      const unwantedSelectors = [
-        'script', 'style', 'nav', 'footer', 'header', 
-        'aside', '.sidebar', '.menu', '.navigation',
-        '.cookie-banner', '.cookie-consent', '[class*="cookie"]',
-        '[id*="cookie"]', '.skip-link', '.sr-only'
-      ];
-      
-      unwantedSelectors.forEach(selector => {
-        try {
-          bodyClone.querySelectorAll(selector).forEach(el => el.remove());
-        } catch (e) {
-          // Ignore errors
-        }
-      });
+/**
+ * Scrape metadata, full page content, and detect category from a URL.
+ * Tries the static HTML first and only renders the page in Playwright when
+ * the static result looks incomplete. scrapePath records which one was used:
+ * 'static', 'browser' or 'failed'.
+ * Pass the validators ({ etag, lastModified }) of the last scrape to get
+ * { notModified: true } back when the page hasn't changed since.
+ */
+async function scrapeMetadata(url, sitemapSource, { validators = null } = {}) {
+  let escalation = null;
 
-      // Extract structured content from the page
-      const contentParts = [];
-      
-      // Extract headings with hierarchy
-      const headings = bodyClone.querySelectorAll('h1, h2, h3, h4, h5, h6');
-      headings.forEach(heading => {
-        const text = heading.textContent?.trim();
-        if (text && text.length > 0) {
-          const level = heading.tagName.match(/\d/)?.[0] || '1';
-          contentParts.push(`[H${level}] ${text}`);
-        }
-      });
-      
-      // Extract paragraphs
-      const paragraphs = bodyClone.querySelectorAll('p');
-      paragraphs.forEach(p => {
-        const text = p.textContent?.trim();
-        if (text && text.length > 10) { // Only meaningful paragraphs
-          contentParts.push(text);
-        }
-      });
-      
-      // Extract list items
-      const listItems = bodyClone.querySelectorAll('li');
-      listItems.forEach(li => {
-        const text = li.textContent?.trim();
-        if (text && text.length > 5) {
-          contentParts.push(`• ${text}`);
-        }
-      });
-      
-      // Extract content from main content areas (if not already captured)
-      const mainContent = bodyClone.querySelector('main, article, .content, .main-content, #main-content');
-      if (mainContent) {
-        const mainText = mainContent.textContent?.trim();
-        if (mainText && mainText.length > 100) {
-          // If we don't have much content yet, use main content
-          if (contentParts.length < 5) {
-            const mainParagraphs = mainText.split(/\n+/).filter(p => p.trim().length > 20);
-            contentParts.push(...mainParagraphs);
-          }
-        }
+  if (SCRAPER_STATIC_FIRST) {
+    try {
+      const fetched = await fetchStaticHtml(url, validators);
+      if (fetched.notModified) {
+        return { notModified: true, scrapePath: 'static' };
       }
-      
-      // Fallback: if still not enough content, get all text from body
-      if (contentParts.length < 3) {
-        const allText = bodyClone.textContent?.trim();
-        if (allText && allText.length > 100) {
-          // Split into sentences/paragraphs
-          const sentences = allText.split(/[.!?]+\s+/).filter(s => s.trim().length > 20);
-          contentParts.push(...sentences.slice(0, 20)); // Limit to first 20 sentences
-        }
+      const { rawTextLength, ...metadata } = await buildMetadata(fetched.html, url, sitemapSource);
+      escalation = staticResultIncomplete(fetched.html, { ...metadata, rawTextLength });
+      if (!escalation) {
+        return { ...metadata, scrapePath: 'static', validators: fetched.validators };
       }
-      
-      // Join all content parts with newlines for readability
-      return contentParts.join('\n\n').trim();
-    });
-
-    // Generate summary using RAW page content (not pageDescription)
-    const content = await generateSmartSummary(rawPageContent, title, url);
-
-    // Categorize page using new logic (use normalized URL for categorization if needed)
-    // Note: We use the original scrape URL for categorization as content is from dev
-    const category = categorizePageNew($, html, url);
-
-    // Images removed - not storing images anymore
-
-    await browser.close();
+    } catch (error) {
+      escalation = `static fetch failed (${error.response?.status || error.message})`;
+    }
+    console.log(`  ↪ Rendering in browser: ${escalation}`);
+  }
 
-    return {
-      title: title.substring(0, 500),
-      description: description.substring(0, 1000),
-      content: content,
-      page_description: pageDescription, // Full page content with all details
-      category: category || 'landing-page'
-    };
+  try {
+    const rendered = await fetchRenderedHtml(url);
+    const { rawTextLength, ...metadata } = await buildMetadata(rendered.html, url, sitemapSource);
+    return { ...metadata, scrapePath: 'browser', escalation, validators: rendered.validators };
   } catch (error) {
-    if (browser) {
-      await browser.close();
-    }
     console.error(`Error scraping ${url}:`, error.message);
     return {
       title: '',
       description: '',
       content: '',
       page_description: '',
-      category: 'landing-page'
+      sections: [],
+      faqs: [],
+      ...pageDetails(),
+      category: 'landing-page',
+      // Nothing to classify: queued for review so the fallback doesn't go unnoticed
+      classification: {
+        category: 'landing-page',
+        rule: 'failed',
+        rulesVersion: null,
+        confidence: 0,
+        matched: {},
+        reason: 'page could not be loaded',
+        signals: [],
+        breadcrumb: []
+      },
+      scrapePath: 'failed',
+      escalation,
+      error: error.message
     };
   }
 }
 
 /**
- * Generate hash for change detection
+ * Generate hash for change detection (key order doesn't matter, as Strapi
+ * returns JSON fields with their keys reordered)
  */
 function generateHash(data) {
-  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+  return crypto.createHash('sha256').update(stableStringify(data)).digest('hex');
+}
+
+/**
+ * Find a stored item whose URL has the same urlKey (case-insensitive path match)
+ */
+async function findItemByUrlKey(url) {
+  const key = urlKey(url);
+  const path = key.slice(key.indexOf('/'));
+  if (!key || path.length <= 1) {
+    return null;
+  }
+
+  const response = await axios.get(`${STRAPI_URL}/api/search-items`, {
+    params: {
+      'filters[url][$containsi]': path,
+      'pagination[pageSize]': 25
+    },
+    headers: {
+      'Authorization': `Bearer ${STRAPI_API_KEY}`
+    }
+  });
+
+  const matches = (response.data.data || []).filter(item => urlKey(item.attributes?.url) === key);
+  return matches[0] || null;
 }
 
 /**
  * Check if item exists in Strapi and compare hash
- * Checks both www and non-www versions, and handles trailing slash variations
+ * Checks both www and non-www versions, and handles trailing slash variations.
+ * Returns null only when Strapi says there is no such item; other lookup
+ * errors are thrown.
  */
 async function checkExistingItem(url) {
   try {
@@ -1022,28 +523,72 @@ async function checkExistingItem(url) {
       }
     }
     
-    return null;
+    // Last resort: same page stored with different case or protocol
+    return await findItemByUrlKey(url);
   } catch (error) {
     // 404 means endpoint doesn't exist (content type not published) or Strapi not running
     // Don't log as error, just return null
     if (error.response && error.response.status === 404) {
       return null;
     }
+    // Anything else (5xx, timeout, auth) doesn't tell us the page is new: the caller
+    // fails the page, so it is retried next run instead of being created twice
     console.error(`Error checking existing item for ${url}:`, error.response?.status || error.message);
-    return null;
+    throw error;
+  }
+}
+
+/**
+ * Create a new item in Strapi.
+ * If Strapi rejects the URL as a duplicate (created since we checked),
+ * the stored item is returned instead so the caller can update it.
+ */
+async function createStrapiItem(payload) {
+  if (dryRun) {
+    printDiff('Strapi', 'create', payload.data.url, diffFields({}, payload.data));
+    return { created: true, item: { id: null, attributes: { ...payload.data } } };
+  }
+
+  try {
+    const response = await axios.post(
+      `${STRAPI_URL}/api/search-items`,
+      { data: { ...payload.data, search_status: 'active' } },
+      {
+        headers: {
+          'Authorization': `Bearer ${STRAPI_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return { created: true, item: response.data.data };
+  } catch (error) {
+    const isUniqueError = error.response?.status === 400 &&
+      /unique/i.test(JSON.stringify(error.response.data?.error || ''));
+    if (isUniqueError) {
+      const existing = await checkExistingItem(payload.data.url);
+      if (existing) {
+        return { created: false, item: existing };
+      }
+    }
+    throw error;
   }
 }
 
 /**
  * Create or update item in Strapi
+ * New items are only created when create mode is on (SCRAPER_CREATE_ITEMS=true or --create)
  */
-async function upsertStrapiItem(itemData, existingItem) {
+async function upsertStrapiItem(itemData, existingItem, { create = CREATE_ITEMS } = {}) {
   const hash = generateHash({
     url: itemData.url,
     title: itemData.title,
     description: itemData.description,
     content: itemData.content || '',
     page_description: itemData.page_description || '',
+    sections: itemData.sections || [],
+    faqs: itemData.faqs || [],
+    ...pageDetails(itemData),
+    ...reviewFields(itemData),
     last_modified: itemData.last_modified
   });
   
@@ -1054,7 +599,11 @@ async function upsertStrapiItem(itemData, existingItem) {
       description: itemData.description,
       content: itemData.content || '',
       page_description: itemData.page_description || '', // Full page content
+      sections: itemData.sections || [],
+      faqs: itemData.faqs || [],
+      ...pageDetails(itemData),
       category: itemData.category || '',
+      ...reviewFields(itemData),
       last_modified: itemData.last_modified || new Date().toISOString()
     }
   };
@@ -1076,6 +625,10 @@ async function upsertStrapiItem(itemData, existingItem) {
         description: existingItem.attributes.description,
         content: existingContent,
         page_description: existingPageDescription,
+        sections: existingItem.attributes.sections || [],
+        faqs: existingItem.attributes.faqs || [],
+        ...pageDetails(existingItem.attributes),
+        ...reviewFields(existingItem.attributes),
         last_modified: existingItem.attributes.last_modified
       });
       
@@ -1099,6 +652,11 @@ async function upsertStrapiItem(itemData, existingItem) {
         }
       }
       
+      if (dryRun) {
+        printDiff('Strapi', 'update', itemData.url, diffFields(storedFields(existingItem), payload.data));
+        return { updated: true, item: { id: existingItem.id, attributes: { ...existingItem.attributes, ...payload.data } } };
+      }
+      
       // Update existing item
       const response = await axios.put(
         `${STRAPI_URL}/api/search-items/${existingItem.id}`,
@@ -1112,8 +670,15 @@ async function upsertStrapiItem(itemData, existingItem) {
       );
       
       return { updated: true, item: response.data.data };
+    } else if (create) {
+      const { created, item } = await createStrapiItem(payload);
+      if (!created) {
+        // Lost a race with another writer - update the stored item instead
+        return upsertStrapiItem(itemData, item, { create: false });
+      }
+      return { updated: true, created: true, item };
     } else {
-      // Skip creation - only update existing items
+      // Update-only mode: skip pages that aren't stored yet
       return { updated: false, item: null };
     }
   } catch (error) {
@@ -1132,23 +697,64 @@ async function upsertStrapiItem(itemData, existingItem) {
   }
 }
 
+/**
+ * A stored item's attributes for a dry-run diff, with the category_* fields
+ * read the way the scraper writes them (Strapi returns decimals as strings)
+ */
+function storedFields(item) {
+  return { ...item.attributes, ...reviewFields(item.attributes) };
+}
+
+/**
+ * Update some fields of a stored item in Strapi and return the saved item
+ */
+async function updateStrapiFields(item, data) {
+  if (dryRun) {
+    printDiff('Strapi', 'update', item.attributes.url, diffFields(storedFields(item), data));
+    return { id: item.id, attributes: { ...item.attributes, ...data } };
+  }
+
+  const response = await axios.put(
+    `${STRAPI_URL}/api/search-items/${item.id}`,
+    { data },
+    {
+      headers: {
+        'Authorization': `Bearer ${STRAPI_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+  return response.data.data;
+}
+
+/**
+ * Stored Elasticsearch document for an item ({} if it isn't indexed), for dry-run diffs
+ */
+async function fetchIndexedDocument(id) {
+  if (!id) return {};
+  const response = await axios.get(`${ELASTICSEARCH_URL}/${INDEX_NAME}/_doc/${id}`, {
+    validateStatus: status => status === 200 || status === 404
+  });
+  return response.data._source || {};
+}
+
 /**
  * Update full document in Elasticsearch (for description/content updates)
  */
 async function updateElasticsearchFullDocument(item) {
   try {
-    const doc = {
-      url: item.attributes.url,
-      title: item.attributes.title,
-      description: item.attributes.description || '',
-      content: item.attributes.content || '',
-      page_description: item.attributes.page_description || '',
-      category: item.attributes.category || '',
-      last_modified: item.attributes.last_modified
-    };
+    const doc = toSearchDocument(item.attributes);
+    
+    if (dryRun) {
+      const current = await fetchIndexedDocument(item.id);
+      // Timestamps always change on write, so leave them out of the diff
+      const { updated_at: updatedAt, last_modified: lastModified, ...fields } = doc;
+      printDiff('Elasticsearch', current.url ? 'update' : 'create', item.attributes.url, diffFields(current, fields));
+      return;
+    }
     
     await axios.put(
-      `${ELASTICSEARCH_URL}/search_items/_doc/${item.id}`,
+      `${ELASTICSEARCH_URL}/${INDEX_NAME}/_doc/${item.id}`,
       doc,
       {
         headers: {
@@ -1177,13 +783,23 @@ async function updateElasticsearchFullDocument(item) {
  * Update only category field in Elasticsearch (partial update)
  */
 async function updateElasticsearchCategory(item) {
+  const { category, category_path, breadcrumb } = toSearchDocument(item.attributes);
+  if (dryRun) {
+    const current = await fetchIndexedDocument(item.id);
+    printDiff('Elasticsearch', 'update', item.attributes.url, diffFields(current, { category, category_path, breadcrumb }));
+    return;
+  }
+
   try {
-    // Use update API to only update the category field
+    // Use update API to only update the category fields
     await axios.post(
-      `${ELASTICSEARCH_URL}/search_items/_update/${item.id}`,
+      `${ELASTICSEARCH_URL}/${INDEX_NAME}/_update/${item.id}`,
       {
         doc: {
-          category: item.attributes.category || ''
+          category,
+          category_path,
+          breadcrumb,
+          updated_at: item.attributes.updatedAt || null
         }
       },
       {
@@ -1204,7 +820,61 @@ async function updateElasticsearchCategory(item) {
 }
 
 /**
- * Create Elasticsearch index with mapping
+ * Make sure the synonyms set referenced by the index definition exists.
+ * The API fills it from the query dictionary; an empty set is enough here.
+ * Returns false if the cluster has no synonyms API (Elasticsearch < 8.10).
+ */
+async function ensureSynonymsSet() {
+  try {
+    await axios.get(`${ELASTICSEARCH_URL}/_synonyms/${SYNONYMS_SET}`, { timeout: 5000 });
+    return true;
+  } catch (error) {
+    if (error.response && error.response.status === 404 && error.response.data?.error?.type === 'resource_not_found_exception') {
+      try {
+        await axios.put(`${ELASTICSEARCH_URL}/_synonyms/${SYNONYMS_SET}`, { synonyms_set: [] }, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 5000
+        });
+        return true;
+      } catch (createError) {
+        console.warn(`⚠ Could not create synonyms set ${SYNONYMS_SET}:`, createError.message);
+        return false;
+      }
+    }
+    // Synonyms API not available on this cluster
+    return false;
+  }
+}
+
+/**
+ * Whether search already has an index: the search_items alias (or a legacy
+ * concrete search_items index) or any versioned search_items_v* index
+ */
+async function searchIndexExists() {
+  const alias = await axios.head(`${ELASTICSEARCH_URL}/${INDEX_NAME}`, {
+    timeout: 10000,
+    validateStatus: status => status === 200 || status === 404
+  });
+  if (alias.status === 200) {
+    return true;
+  }
+
+  const versioned = await axios.get(`${ELASTICSEARCH_URL}/${INDEX_NAME}_v*`, {
+    params: { ignore_unavailable: true, allow_no_indices: true },
+    timeout: 10000
+  });
+  const names = Object.keys(versioned.data || {});
+  if (names.length > 0) {
+    console.warn(`⚠ Found ${names.join(', ')} but no ${INDEX_NAME} alias - run "npm run reindex" in backend/ to attach it`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Create the first versioned Elasticsearch index with the search alias attached,
+ * unless search already has an index. Later generations are built by the
+ * backend's reindex command (which may prune v1, so it is never recreated here).
  */
 async function createElasticsearchIndex() {
   try {
@@ -1223,42 +893,17 @@ async function createElasticsearchIndex() {
       }
       throw new Error('Elasticsearch connection failed');
     }
+
+    if (await searchIndexExists()) {
+      return;
+    }
     
-    const mapping = {
-      mappings: {
-        properties: {
-          url: { type: 'keyword' },
-          title: { 
-            type: 'text',
-            analyzer: 'standard',
-            fields: {
-              keyword: { type: 'keyword' }
-            }
-          },
-          description: { 
-            type: 'text',
-            analyzer: 'standard'
-          },
-          content: {
-            type: 'text',
-            analyzer: 'standard'
-          },
-          page_description: {
-            type: 'text',
-            analyzer: 'standard'
-          },
-          category: { 
-            type: 'keyword',
-            fields: {
-              keyword: { type: 'keyword' }
-            }
-          },
-          last_modified: { type: 'date' }
-        }
-      }
-    };
+    // Shared with the API so both create identical indexes
+    const hasSynonyms = await ensureSynonymsSet();
+    const mapping = buildIndexDefinition({ synonymsSet: hasSynonyms ? SYNONYMS_SET : null });
+    mapping.aliases = { [INDEX_NAME]: {} };
     
-    const response = await axios.put(`${ELASTICSEARCH_URL}/search_items`, mapping, {
+    const response = await axios.put(`${ELASTICSEARCH_URL}/${versionedIndexName(1)}`, mapping, {
       headers: {
         'Content-Type': 'application/json'
       },
@@ -1269,11 +914,9 @@ async function createElasticsearchIndex() {
     });
     
     if (response.status === 200) {
-    } else if (response.status === 400) {
-      if (response.data && response.data.error) {
-      }
+      console.log(`✓ Created ${versionedIndexName(1)} behind the ${INDEX_NAME} alias`);
     } else {
-      console.warn(`⚠ Unexpected status ${response.status} when creating index`);
+      console.warn(`⚠ Unexpected status ${response.status} when creating index ${versionedIndexName(1)}`);
       if (response.data) {
         console.warn('  Response:', JSON.stringify(response.data, null, 2));
       }
@@ -1290,44 +933,198 @@ async function createElasticsearchIndex() {
     } else {
       console.error('✗ Error creating Elasticsearch index:', error.message);
     }
-    // Don't throw - allow scraper to continue (index might already exist)
+    // Don't throw - allow scraper to continue
   }
 }
 
+/**
+ * Production URL a sitemap entry is stored under
+ */
+function storageUrlFor(urlEntry) {
+  return urlEntry.normalizedUrl || normalizeUrlToProduction(urlEntry.url);
+}
+
+/**
+ * Parse every sitemap listed in robots.txt.
+ * Returns { entries, failures }: one entry per page (deduplicated), tagged source 'sitemap'.
+ */
+async function loadSitemapEntries(robots) {
+  const sitemapEntries = [];
+  const failures = [];
+  for (const sitemapUrl of robots.sitemaps) {
+    const urls = await parseSitemap(sitemapUrl, new Set(), null, failures);
+    sitemapEntries.push(...urls.map(entry => ({ ...entry, source: 'sitemap', depth: 0 })));
+  }
+  
+  // The same page can be listed more than once (several sitemaps, slash/www variants)
+  const seenKeys = new Set();
+  const entries = sitemapEntries.filter(entry => {
+    const key = urlKey(storageUrlFor(entry));
+    if (seenKeys.has(key)) return false;
+    seenKeys.add(key);
+    return true;
+  });
+  
+  return { entries, failures };
+}
+
+/**
+ * Narrow sitemap entries to one sitemap (URL contains `sitemap`) and/or a path pattern
+ */
+function filterEntries(entries, { sitemap = null, pattern = null } = {}) {
+  return entries.filter(entry =>
+    (!sitemap || (entry.sitemapSource || '').includes(sitemap)) &&
+    (!pattern || matchesPatterns(entry.url, { include: [pattern] }))
+  );
+}
+
+/**
+ * URL entries for pages named on the command line (scraped as given)
+ */
+function urlEntriesFor(urls) {
+  return urls.map(url => ({
+    url,
+    normalizedUrl: normalizeUrlToProduction(url),
+    lastmod: null,
+    sitemapSource: null,
+    source: 'cli',
+    depth: 0
+  }));
+}
+
 /**
  * Main scraping function
+ * Returns { runId, summary, scrapePaths, ... } (null if there was nothing to crawl).
+ * Throws LockedError if another crawl is running.
+ * Options (all optional, see cli.js):
+ *   full      rescrape pages even if lastmod / ETag / Last-Modified is unchanged
+ *   fresh     don't resume an interrupted run
+ *   create    create Strapi items for pages that aren't stored yet
+ *   discover  follow links to pages missing from the sitemaps
+ *   dryRun    print Strapi / Elasticsearch diffs instead of writing
+ *   urls, sitemap, pattern  only crawl these pages (a partial run: no resume, no tombstoning)
  */
-async function runScraper() {
+async function runScraper({
+  full = false,
+  fresh = false,
+  create = CREATE_ITEMS,
+  discover = DISCOVERY_CONFIG.enabled,
+  dryRun: dryRunOption = false,
+  urls = [],
+  sitemap = null,
+  pattern = null
+} = {}) {
+  dryRun = dryRunOption;
+  const partial = urls.length > 0 || Boolean(sitemap) || Boolean(pattern);
+  // Pages named explicitly are always scraped
+  const incremental = !full && urls.length === 0;
+  // Only one crawl at a time may write (dry runs don't write)
+  const releaseLock = dryRun ? null : acquireLock();
   
   try {
-    // Create Elasticsearch index if it doesn't exist
-    await createElasticsearchIndex();
+    if (dryRun) {
+      console.log('Dry run - nothing will be written to Strapi, Elasticsearch or the crawl state');
+    } else {
+      // Create Elasticsearch index if it doesn't exist
+      await createElasticsearchIndex();
+    }
     
-    // Fetch robots.txt and get sitemap URLs
-    const sitemapUrls = await fetchRobotsTxt();
+    // robots.txt rules apply to resumed runs too
+    const robots = await loadRobotsPolicy();
     
-    if (sitemapUrls.length === 0) {
-      return;
+    // Pick up an interrupted run where it stopped, unless --fresh was given
+    const crawlState = createCrawlState({ readOnly: dryRun });
+    let run = fresh || partial ? null : crawlState.interruptedRun();
+    let allUrls;
+    let sitemapFailures;
+    
+    if (run) {
+      allUrls = run.snapshot;
+      sitemapFailures = run.sitemapFailures || [];
+    } else if (urls.length > 0) {
+      allUrls = urlEntriesFor(urls);
+      sitemapFailures = [];
+      run = crawlState.startRun({ snapshot: allUrls, partial: true });
+    } else {
+      // Sitemap URLs come from robots.txt
+      if (robots.sitemaps.length === 0) {
+        console.warn('⚠ robots.txt lists no sitemaps - nothing to crawl');
+        return null;
+      }
+      
+      const sitemapResult = await loadSitemapEntries(robots);
+      allUrls = filterEntries(sitemapResult.entries, { sitemap, pattern });
+      sitemapFailures = sitemapResult.failures;
+      if (partial) {
+        console.log(`✓ ${allUrls.length} of ${sitemapResult.entries.length} sitemap pages match the filters`);
+      }
+      
+      run = crawlState.startRun({ snapshot: allUrls, sitemapFailures, partial });
     }
     
-    // Parse all sitemaps recursively
-    const allUrls = [];
-    for (const sitemapUrl of sitemapUrls) {
-      const urls = await parseSitemap(sitemapUrl);
-      allUrls.push(...urls);
+    const pendingUrls = allUrls.filter(entry => !crawlState.isDone(run, urlKey(storageUrlFor(entry))));
+    if (pendingUrls.length < allUrls.length) {
+      console.log(`↻ Resuming run ${run.runId} from ${run.startedAt}: ${allUrls.length - pendingUrls.length} of ${allUrls.length} URLs already done`);
     }
     
+    // Optional breadth-first link following (--discover / SCRAPER_DISCOVER=true)
+    const discovery = createDiscovery({ ...DISCOVERY_CONFIG, enabled: discover });
+    discovery.seed(allUrls);
+    if (discovery.config.enabled) {
+      console.log(`✓ Link discovery on (depth ${discovery.config.maxDepth}, up to ${discovery.config.maxPages} new pages)`);
+    }
     
     // Process each URL
     let processed = 0;
-    let updated = 0;
     let categoryUpdates = 0;
+    // How each page was fetched: static HTML, Playwright, or not at all
+    const scrapePaths = { static: 0, browser: 0, failed: 0 };
     
-    for (const urlEntry of allUrls) {
+    // Pages are scraped in parallel; the browser pool enforces per-host politeness.
+    // Pages found by link discovery join the back of the queue.
+    await processQueue(pendingUrls, SCRAPER_CONCURRENCY, async (urlEntry, enqueue) => {
+      // Use normalized production URL for database operations
+      const storageUrl = storageUrlFor(urlEntry);
+      const scrapeUrl = urlEntry.url; // Use original dev URL for scraping
+      const key = urlKey(storageUrl);
+      processed++;
+      
+      const recordResult = fields => crawlState.record(run, {
+        key,
+        url: storageUrl,
+        source: urlEntry.source || 'sitemap',
+        discoveredFrom: urlEntry.discoveredFrom,
+        ...fields
+      });
+      
+      // Queue the page's unseen links (discovery mode only)
+      const followLinks = links => {
+        for (const entry of discovery.follow(urlEntry, links || [])) {
+          crawlState.addToRun(run, entry);
+          enqueue(entry);
+        }
+      };
+      
       try {
-        // Use normalized production URL for database operations
-        const storageUrl = urlEntry.normalizedUrl || normalizeUrlToProduction(urlEntry.url);
-        const scrapeUrl = urlEntry.url; // Use original dev URL for scraping
+        // What happened to this URL, recorded in the crawl state
+        let status = 'unchanged';
+        
+        // Disallowed pages stay in the snapshot (they still exist) but are never fetched
+        if (!robots.isAllowed(scrapeUrl)) {
+          recordResult({ status: 'skipped', reason: 'disallowed by robots.txt', validators: null });
+          return;
+        }
+        
+        // Incremental crawl: skip pages that haven't changed since their last successful scrape.
+        // In discovery mode a page is only skipped if its links were saved last time.
+        const previous = incremental ? crawlState.lastResult(key) : null;
+        const canSkip = !discovery.config.enabled || Boolean(previous?.links);
+        const previousValidators = canSkip ? previous?.validators || null : null;
+        if (previousValidators?.lastmod && urlEntry.lastmod && previousValidators.lastmod === urlEntry.lastmod) {
+          recordResult({ status: 'skipped', reason: 'sitemap lastmod unchanged', links: previous.links });
+          followLinks(previous.links);
+          return;
+        }
         
         // Debug: Log what we're checking
         
@@ -1339,7 +1136,28 @@ async function runScraper() {
         }
         
         // Scrape metadata and categorize using original dev URL
-        const metadata = await scrapeMetadata(scrapeUrl, urlEntry.sitemapSource);
+        const metadata = await scrapeMetadata(scrapeUrl, urlEntry.sitemapSource, { validators: previousValidators });
+        scrapePaths[metadata.scrapePath]++;
+        if (metadata.notModified) {
+          recordResult({
+            status: 'skipped',
+            reason: 'not modified (HTTP 304)',
+            validators: { ...previousValidators, lastmod: urlEntry.lastmod || null },
+            links: previous.links
+          });
+          followLinks(previous.links);
+          return;
+        }
+        const contentHash = generateHash({
+          title: metadata.title,
+          description: metadata.description,
+          content: metadata.content || '',
+          page_description: metadata.page_description || '',
+          sections: metadata.sections || [],
+          faqs: metadata.faqs || [],
+          ...pageDetails(metadata),
+          category: metadata.category
+        });
         
         const itemData = {
           url: storageUrl, // Store with production URL
@@ -1347,151 +1165,315 @@ async function runScraper() {
           description: metadata.description,
           content: metadata.content || '',
           page_description: metadata.page_description || '', // Full page content
+          sections: metadata.sections || [],
+          faqs: metadata.faqs || [],
+          ...pageDetails(metadata),
           category: metadata.category || 'landing-page',
+          ...classificationFields(metadata.classification, existingItem?.attributes),
           last_modified: urlEntry.lastmod || new Date().toISOString()
         };
         
-        // Check if category changed
+        // Check if category changed. A category pinned by an editor (category_override)
+        // stays in the index whatever the scraper finds.
         const existingCategory = existingItem?.attributes?.category || '';
-        const categoryChanged = existingItem && existingCategory !== itemData.category;
+        const pinned = Boolean(existingItem?.attributes?.category_override);
+        const categoryChanged = existingItem && !pinned && existingCategory !== itemData.category;
+        if (categoryChanged) {
+          console.log(`  Category ${existingCategory || '(none)'} → ${itemData.category} (${describeClassification(metadata.classification)})`);
+        }
+        if (itemData.category_review === 'pending' && existingItem?.attributes?.category_review !== 'pending') {
+          console.log(`  ⚠ Queued for category review: ${itemData.category} (${describeClassification(metadata.classification)})`);
+        }
         
+        // Upsert to Strapi (will update if category changed or content changed)
+        const result = await upsertStrapiItem(itemData, existingItem, { create });
         
-        // Special handling for webinar category from breadcrumb - update Elasticsearch directly
-        if (itemData.category === 'webinar') {
-          
-          if (categoryChanged || !existingItem) {
-            // Update Elasticsearch directly for webinar category
-            if (existingItem) {
-              // Update existing document in Elasticsearch
-              const tempItem = {
-                id: existingItem.id,
-                attributes: {
-                  ...existingItem.attributes,
-                  category: 'webinar'
-                }
-              };
-              await updateElasticsearchCategory(tempItem);
-              categoryUpdates++;
-            } else {
-              // Skip - item doesn't exist (update-only mode)
+        // Track if we need to update Elasticsearch category
+        let shouldUpdateESCategory = false;
+        
+        // Always update Elasticsearch if category changed
+        if (categoryChanged) {
+          categoryUpdates++;
+          shouldUpdateESCategory = true;
+          status = 'updated';
+        }
+        
+        // Update Elasticsearch if category changed
+        if (shouldUpdateESCategory) {
+          // Update category in Elasticsearch (use result.item if available, otherwise existingItem)
+          const itemToUpdate = result.item || existingItem;
+          if (itemToUpdate) {
+            // Ensure the item has the correct category before updating ES
+            if (!itemToUpdate.attributes) {
+              itemToUpdate.attributes = {};
             }
+            itemToUpdate.attributes.category = itemData.category;
+            await updateElasticsearchCategory(itemToUpdate);
           } else {
+            console.warn(`⚠ Could not update Elasticsearch for ${storageUrl}: No item available`);
+          }
+        }
+        
+        // Track content updates
+        if (result.created) {
+          status = 'created';
+          await updateElasticsearchFullDocument(result.item);
+        } else if (result.updated) {
+          status = 'updated';
+          // Update full Elasticsearch document if Strapi was updated
+          if (result.item) {
+            await updateElasticsearchFullDocument(result.item);
           }
         } else {
-          // For other categories, use normal flow
-          // Upsert to Strapi (will update if category changed or content changed)
-          const result = await upsertStrapiItem(itemData, existingItem);
-          
-          // Track if we need to update Elasticsearch category
-          let shouldUpdateESCategory = false;
+          // Check if page_description or content (summary) was missing and needs to be updated
+          // This handles the case where hash matches but fields are missing
+          const existingPageDesc = existingItem?.attributes?.page_description || '';
+          const existingContent = existingItem?.attributes?.content || '';
+          const newPageDesc = itemData.page_description || '';
+          const newContent = itemData.content || '';
           
-          // Always update Elasticsearch if category changed
-          if (categoryChanged) {
-            categoryUpdates++;
-            shouldUpdateESCategory = true;
-          }
+          const needsPageDescUpdate = !existingPageDesc && newPageDesc;
+          const needsContentUpdate = !existingContent && newContent;
           
-          // Update Elasticsearch if category changed
-          if (shouldUpdateESCategory) {
-            // Update category in Elasticsearch (use result.item if available, otherwise existingItem)
-            const itemToUpdate = result.item || existingItem;
-            if (itemToUpdate) {
-              // Ensure the item has the correct category before updating ES
-              if (!itemToUpdate.attributes) {
-                itemToUpdate.attributes = {};
-              }
-              itemToUpdate.attributes.category = itemData.category;
-              await updateElasticsearchCategory(itemToUpdate);
-            } else {
-              console.warn(`⚠ Could not update Elasticsearch for ${storageUrl}: No item available`);
+          if (existingItem && (needsPageDescUpdate || needsContentUpdate)) {
+            // Force update Strapi with missing fields
+            const updatePayload = {
+              data: {}
+            };
+            
+            if (needsPageDescUpdate) {
+              updatePayload.data.page_description = newPageDesc;
             }
-          }
-          
-          // Track content updates
-          if (result.updated) {
-            updated++;
-            // Update full Elasticsearch document if Strapi was updated
-            if (result.item) {
-              await updateElasticsearchFullDocument(result.item);
+            if (needsContentUpdate) {
+              updatePayload.data.content = newContent;
             }
-          } else {
-            // Check if page_description or content (summary) was missing and needs to be updated
-            // This handles the case where hash matches but fields are missing
-            const existingPageDesc = existingItem?.attributes?.page_description || '';
-            const existingContent = existingItem?.attributes?.content || '';
-            const newPageDesc = itemData.page_description || '';
-            const newContent = itemData.content || '';
-            
-            const needsPageDescUpdate = !existingPageDesc && newPageDesc;
-            const needsContentUpdate = !existingContent && newContent;
             
-            if (needsPageDescUpdate || needsContentUpdate) {
-              // Force update Strapi with missing fields
-              const updatePayload = {
-                data: {}
-              };
-              
-              if (needsPageDescUpdate) {
-                updatePayload.data.page_description = newPageDesc;
-              }
-              if (needsContentUpdate) {
-                updatePayload.data.content = newContent;
-              }
-              
-              try {
-                const updateResponse = await axios.put(
-                  `${STRAPI_URL}/api/search-items/${existingItem.id}`,
-                  updatePayload,
-                  {
-                    headers: {
-                      'Authorization': `Bearer ${STRAPI_API_KEY}`,
-                      'Content-Type': 'application/json'
-                    }
-                  }
-                );
-                // Update Elasticsearch with the new fields
-                if (updateResponse.data.data) {
-                  await updateElasticsearchFullDocument(updateResponse.data.data);
-                  updated++;
-                }
-              } catch (updateError) {
-                console.error(`Error updating fields for ${storageUrl}:`, updateError.message);
+            try {
+              const updatedItem = await updateStrapiFields(existingItem, updatePayload.data);
+              // Update Elasticsearch with the new fields
+              if (updatedItem) {
+                await updateElasticsearchFullDocument(updatedItem);
+                status = 'updated';
               }
+            } catch (updateError) {
+              console.error(`Error updating fields for ${storageUrl}:`, updateError.message);
             }
+          } else if (!existingItem && !result.item) {
+            // Update-only mode: page isn't stored yet
+            status = 'skipped';
           }
         }
-        
-        processed++;
-        
-        // Rate limiting - wait 100ms between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        if (processed % 10 === 0) {
-        }
+
+        recordResult({
+          status: metadata.scrapePath === 'failed' ? 'failed' : status,
+          hash: contentHash,
+          error: metadata.scrapePath === 'failed' ? `Page could not be loaded: ${metadata.error}` : null,
+          // Only pages that are stored and up to date can be skipped next time
+          validators: ['created', 'updated', 'unchanged'].includes(status) && metadata.scrapePath !== 'failed'
+            ? { lastmod: urlEntry.lastmod || null, ...metadata.validators }
+            : null,
+          scrapePath: metadata.scrapePath,
+          // The category rule that fired, so a stored category can be explained later
+          categoryRule: metadata.classification.rule,
+          categoryConfidence: metadata.classification.confidence,
+          rulesVersion: metadata.classification.rulesVersion,
+          // Saved so an unchanged page can still be followed when it is skipped next time
+          links: discovery.config.enabled && metadata.scrapePath !== 'failed' ? metadata.links : undefined
+        });
+        followLinks(metadata.links);
       } catch (error) {
         console.error(`Error processing ${urlEntry.url}:`, error.message);
+        recordResult({ status: 'failed', error: error.response?.status ? `HTTP ${error.response.status}` : error.message });
+      }
+    });
+    
+    if (discovery.config.enabled) {
+      console.log(`✓ Link discovery found ${discovery.discovered} pages missing from the sitemaps`);
+    }
+    console.log(`✓ Processed ${processed} URLs: ${categoryUpdates} category changes${create ? '' : ' (update-only mode)'}`);
+    console.log(`  Scrape path: ${scrapePaths.static} static HTML, ${scrapePaths.browser} browser, ${scrapePaths.failed} failed`);
+    const summary = crawlState.finishRun(run);
+    printRunSummary(run, summary);
+    
+    // Retire stored items whose pages are gone from the sitemap.
+    let tombstones = null;
+    // A partial sitemap would look like mass removal, so only run on a complete one.
+    // Pages found by an earlier discovery run count as live unless this run rediscovers links.
+    // Partial runs only see some pages, so they never tombstone.
+    if (!partial && sitemapFailures.length > 0) {
+      console.warn(`⚠ ${sitemapFailures.length} sitemap(s) failed to load - skipping tombstoning`);
+    } else if (!partial) {
+      const liveUrls = allUrls.map(storageUrlFor);
+      if (!discovery.config.enabled) {
+        liveUrls.push(...crawlState.linkedUrls());
       }
+      tombstones = await runTombstones(liveUrls, { dryRun });
     }
     
+    return {
+      runId: run.runId,
+      partial,
+      summary,
+      scrapePaths,
+      categoryUpdates,
+      discovered: discovery.discovered,
+      tombstones: tombstones && { applied: tombstones.applied, failed: tombstones.failed, skipped: tombstones.skipped || null }
+    };
   } catch (error) {
     console.error('Scraper error:', error.message);
     throw error;
+  } finally {
+    await browserPool.close();
+    if (releaseLock) releaseLock();
   }
 }
 
-// Run scraper immediately on start (for testing)
+/**
+ * Re-scrape stored pages and update a single field: 'category' (recategorize)
+ * or 'content' (resummarize). Pages that aren't stored are skipped; nothing
+ * else about the item changes.
+ */
+async function refreshStoredField(field, {
+  dryRun: dryRunOption = false,
+  urls = [],
+  sitemap = null,
+  pattern = null
+} = {}) {
+  dryRun = dryRunOption;
+  const counts = { changed: 0, unchanged: 0, skipped: 0, failed: 0 };
+  
+  try {
+    const robots = await loadRobotsPolicy();
+    const entries = urls.length > 0
+      ? urlEntriesFor(urls)
+      : filterEntries((await loadSitemapEntries(robots)).entries, { sitemap, pattern });
+    console.log(`Refreshing ${field} for ${entries.length} pages${dryRun ? ' (dry run)' : ''}`);
+    
+    await processQueue(entries, SCRAPER_CONCURRENCY, async (urlEntry) => {
+      const storageUrl = storageUrlFor(urlEntry);
+      try {
+        if (!robots.isAllowed(urlEntry.url)) {
+          counts.skipped++;
+          return;
+        }
+        const existingItem = await checkExistingItem(storageUrl);
+        if (!existingItem) {
+          counts.skipped++;
+          return;
+        }
+        
+        const metadata = await scrapeMetadata(urlEntry.url, urlEntry.sitemapSource);
+        if (metadata.scrapePath === 'failed') {
+          counts.failed++;
+          return;
+        }
+        
+        const value = metadata[field] || '';
+        // Recategorizing also refreshes the confidence, signals and review status
+        const data = field === 'category'
+          ? { category: value, ...classificationFields(metadata.classification, existingItem.attributes) }
+          : { [field]: value };
+        const stored = field === 'category'
+          ? { category: existingItem.attributes.category || '', ...reviewFields(existingItem.attributes) }
+          : { [field]: existingItem.attributes[field] || '' };
+        if (diffFields(stored, data).length === 0) {
+          counts.unchanged++;
+          return;
+        }
+        
+        if (field === 'category' && stored.category !== value) {
+          const pinned = existingItem.attributes.category_override
+            ? ` - pinned to ${existingItem.attributes.category_override}, index unchanged`
+            : '';
+          console.log(`  ${storageUrl}: ${stored.category || '(none)'} → ${value} (${describeClassification(metadata.classification)})${pinned}`);
+        }
+        const item = await updateStrapiFields(existingItem, data);
+        if (field === 'category') {
+          await updateElasticsearchCategory(item);
+        } else {
+          await updateElasticsearchFullDocument(item);
+        }
+        counts.changed++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`Error refreshing ${field} for ${storageUrl}:`, error.message);
+      }
+    });
+    
+    console.log(`✓ ${field}: ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.skipped} skipped (not stored or disallowed), ${counts.failed} failed`);
+    return counts;
+  } finally {
+    await browserPool.close();
+  }
+}
+
+/**
+ * Scrape pages and print the category each gets and the rule that fired,
+ * without reading or writing Strapi and Elasticsearch
+ */
+async function explainCategories({ urls = [], sitemap = null, pattern = null } = {}) {
+  const counts = {};
+
+  try {
+    const robots = await loadRobotsPolicy();
+    const entries = urls.length > 0
+      ? urlEntriesFor(urls)
+      : filterEntries((await loadSitemapEntries(robots)).entries, { sitemap, pattern });
+    console.log(`Classifying ${entries.length} pages`);
+
+    await processQueue(entries, SCRAPER_CONCURRENCY, async (urlEntry) => {
+      if (!robots.isAllowed(urlEntry.url)) {
+        console.log(`  ${urlEntry.url}: skipped (disallowed by robots.txt)`);
+        return;
+      }
+      const metadata = await scrapeMetadata(urlEntry.url, urlEntry.sitemapSource);
+      counts[metadata.category] = (counts[metadata.category] || 0) + 1;
+      const breadcrumb = metadata.classification.breadcrumb.length > 0
+        ? ` [breadcrumb: ${metadata.classification.breadcrumb.join(' › ')}]`
+        : '';
+      console.log(`  ${urlEntry.url}: ${metadata.category}${breadcrumb} (${describeClassification(metadata.classification)})`);
+    });
+
+    const summary = Object.entries(counts).map(([category, count]) => `${count} ${category}`).join(', ');
+    console.log(`✓ ${summary || 'no pages classified'}`);
+    return counts;
+  } finally {
+    await browserPool.close();
+  }
+}
+
+/**
+ * Report which stored items would be marked, unpublished or deleted,
+ * without scraping or changing anything
+ */
+async function runTombstoneReport() {
+  const robots = await loadRobotsPolicy();
+  const { entries, failures: sitemapFailures } = await loadSitemapEntries(robots);
+  if (sitemapFailures.length > 0) {
+    console.warn(`⚠ ${sitemapFailures.length} sitemap(s) failed to load - the report below treats their pages as missing`);
+  }
+  // Pages found by earlier discovery runs aren't in the sitemaps but are still live
+  const liveUrls = [...entries.map(storageUrlFor), ...createCrawlState({ readOnly: true }).linkedUrls()];
+  await runTombstones(liveUrls, { dryRun: true });
+}
+
+module.exports = {
+  runScraper,
+  refreshStoredField,
+  explainCategories,
+  runTombstoneReport,
+  loadRobotsPolicy,
+  loadSitemapEntries,
+  scrapeMetadata
+};
+
+// node index.js [options] is the same as node cli.js crawl [options]
 if (require.main === module) {
-  runScraper().then(() => {
-    process.exit(0);
-  }).catch(error => {
-    console.error('Scraper failed:', error);
-    process.exit(1);
-  });
+  require('./cli').main(process.argv.slice(2));
 }
 
-// Scraper runs manually only - no automatic scheduling
-// To run the scraper, execute: node scraper/index.js
-// Or use: npm start (if configured in package.json)
+// Run once with: node scraper/cli.js crawl (npm start)
+// Scheduled runs: node scraper/cli.js schedule (npm run schedule)
 
 // Keep process alive
 process.on('SIGINT', () => {
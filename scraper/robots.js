@@ -0,0 +1,168 @@
+/**
+ * robots.txt
+ * Parses robots.txt (RFC 9309) and answers, for our user agent:
+ *   - which sitemaps the site declares
+ *   - whether a URL may be crawled (Allow / Disallow with * and $ patterns)
+ *   - how long to wait between requests (Crawl-delay)
+ */
+
+const axios = require('axios');
+
+/**
+ * Split robots.txt into user-agent groups and sitemap URLs
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  // Consecutive user-agent lines share one group
+  let collectingAgents = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      if (!collectingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+        collectingAgents = true;
+      }
+      group.agents.push(value.toLowerCase());
+      continue;
+    }
+
+    collectingAgents = false;
+    if (!group) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) {
+        group.rules.push({ type: field, path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) {
+        group.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Rules and crawl delay for a user agent: groups naming its product token
+ * (e.g. "i2e-scraper" for "i2e-scraper/1.0"), else the "*" groups
+ */
+function rulesForAgent(parsed, userAgent) {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  let matching = parsed.groups.filter(group => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = parsed.groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Turn a robots.txt path pattern into a RegExp anchored at the path start
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Longest matching rule wins; on a tie Allow wins. No match means allowed.
+ */
+function isPathAllowed(rules, pathWithQuery) {
+  if (pathWithQuery === '/robots.txt') return true;
+
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) continue;
+    if (!best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  }
+  return !best || best.type === 'allow';
+}
+
+/**
+ * robots.txt policy for one host and user agent.
+ * URLs on other hosts are not covered by this file and are always allowed.
+ */
+function createRobotsPolicy(text, { robotsUrl, userAgent }) {
+  const parsed = parseRobotsTxt(text);
+  const { rules, crawlDelay } = rulesForAgent(parsed, userAgent);
+  const host = new URL(robotsUrl).host;
+
+  return {
+    host,
+    sitemaps: parsed.sitemaps,
+    // Crawl-delay in milliseconds, or null when none is declared
+    crawlDelayMs: crawlDelay === null ? null : Math.round(crawlDelay * 1000),
+    rules,
+
+    isAllowed(url) {
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(url);
+      } catch (error) {
+        return false;
+      }
+      if (parsedUrl.host !== host) return true;
+      return isPathAllowed(rules, `${parsedUrl.pathname}${parsedUrl.search}`);
+    }
+  };
+}
+
+/**
+ * Download and parse robots.txt.
+ * A missing robots.txt (4xx) allows everything; other failures are thrown.
+ */
+async function fetchRobotsPolicy(robotsUrl, { userAgent }) {
+  try {
+    const response = await axios.get(robotsUrl, {
+      responseType: 'text',
+      headers: { 'User-Agent': userAgent }
+    });
+    return createRobotsPolicy(response.data, { robotsUrl, userAgent });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status >= 400 && status < 500) {
+      console.warn(`⚠ robots.txt returned ${status} - crawling without restrictions`);
+      return createRobotsPolicy('', { robotsUrl, userAgent });
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parseRobotsTxt,
+  rulesForAgent,
+  isPathAllowed,
+  patternToRegExp,
+  createRobotsPolicy,
+  fetchRobotsPolicy
+};
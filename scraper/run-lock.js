@@ -0,0 +1,86 @@
+/**
+ * Crawl lock
+ * A lock file that stops two crawls (scheduled or manual) writing to
+ * Strapi and Elasticsearch at the same time. The file holds the owner's pid
+ * and start time; a lock whose process is gone is taken over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CRAWL_STATE_FILE } = require('./crawl-state');
+
+const LOCK_FILE = process.env.SCRAPER_LOCK_FILE || path.join(path.dirname(CRAWL_STATE_FILE), 'crawl.lock');
+
+class LockedError extends Error {
+  constructor(owner) {
+    super(`Another crawl is running (pid ${owner.pid}, started ${owner.startedAt})`);
+    this.name = 'LockedError';
+    this.owner = owner;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The lock's owner ({ pid, startedAt }), or null when nobody holds it
+ */
+function readOwner(file = LOCK_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Take the lock or throw LockedError. Returns release().
+ * The lock is also released if the process exits without calling it.
+ */
+function acquireLock(file = LOCK_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const owner = { pid: process.pid, startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(owner), { flag: 'wx' });
+
+      const release = () => {
+        process.removeListener('exit', release);
+        const current = readOwner(file);
+        if (current && current.pid === owner.pid && current.startedAt === owner.startedAt) {
+          fs.rmSync(file, { force: true });
+        }
+      };
+      process.on('exit', release);
+      return release;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const current = readOwner(file);
+      if (current && isProcessAlive(current.pid)) {
+        throw new LockedError(current);
+      }
+      // Left behind by a crashed run (or unreadable) - remove it and try again
+      console.warn(`⚠ Removing stale crawl lock${current ? ` from pid ${current.pid}` : ''}`);
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  throw new LockedError(readOwner(file) || { pid: 'unknown', startedAt: 'unknown' });
+}
+
+module.exports = {
+  LOCK_FILE,
+  LockedError,
+  isProcessAlive,
+  readOwner,
+  acquireLock
+};
@@ -0,0 +1,189 @@
+/**
+ * Scheduled crawls
+ * Runs an incremental crawl on the SCRAPE_INTERVAL cron expression
+ * (node cli.js schedule). After every run it writes:
+ *   - a run report:   .crawl-state/reports/<started-at>.json
+ *   - a status file:  last run, last success and last failure, read by the
+ *                     API's /health endpoint (SCRAPER_STATUS_FILE)
+ * Runs never overlap: a tick that fires while the previous scheduled crawl
+ * is still going is dropped, and one blocked by a manual crawl's lock is
+ * reported as skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { CRAWL_STATE_FILE } = require('./crawl-state');
+const { LockedError, isProcessAlive, readOwner } = require('./run-lock');
+
+const SCRAPE_INTERVAL = process.env.SCRAPE_INTERVAL || '0 0 2 * * *';
+const SCRAPE_TIMEZONE = process.env.SCRAPE_TIMEZONE || undefined;
+const STATUS_FILE = process.env.SCRAPER_STATUS_FILE || path.join(__dirname, '.crawl-state/scheduler-status.json');
+const REPORTS_DIR = path.join(path.dirname(CRAWL_STATE_FILE), 'reports');
+const REPORT_LIMIT = parseInt(process.env.SCRAPER_REPORT_LIMIT) || 30;
+
+function readStatus() {
+  try {
+    return JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Save the run report and drop the oldest ones beyond SCRAPER_REPORT_LIMIT
+ */
+function writeReport(report) {
+  const name = `${report.startedAt.replace(/[:.]/g, '-')}.json`;
+  writeJson(path.join(REPORTS_DIR, name), report);
+
+  const reports = fs.readdirSync(REPORTS_DIR).filter(file => file.endsWith('.json')).sort();
+  for (const file of reports.slice(0, Math.max(0, reports.length - REPORT_LIMIT))) {
+    fs.rmSync(path.join(REPORTS_DIR, file), { force: true });
+  }
+  return name;
+}
+
+/**
+ * Fold a finished run into the status file
+ */
+function updateStatus(report, reportFile) {
+  const previous = readStatus();
+  const lastRun = {
+    status: report.status,
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt,
+    durationMs: report.durationMs,
+    summary: report.result?.summary || null,
+    error: report.error || null,
+    report: reportFile
+  };
+
+  const status = {
+    ...previous,
+    schedule: SCRAPE_INTERVAL,
+    updatedAt: report.finishedAt,
+    lastRun,
+    running: false,
+    runningSince: undefined,
+    runningPid: undefined
+  };
+  if (report.status === 'completed') {
+    status.lastSuccess = lastRun;
+    status.consecutiveFailures = 0;
+  } else if (report.status === 'failed') {
+    status.lastFailure = lastRun;
+    status.consecutiveFailures = (previous.consecutiveFailures || 0) + 1;
+  }
+  writeJson(STATUS_FILE, status);
+  return status;
+}
+
+/**
+ * Run one incremental crawl and record its report and status.
+ * Never throws: failures end up in the report.
+ */
+async function runScheduledCrawl(runScraper) {
+  const startedAt = new Date();
+  writeJson(STATUS_FILE, {
+    ...readStatus(),
+    schedule: SCRAPE_INTERVAL,
+    running: true,
+    runningSince: startedAt.toISOString(),
+    runningPid: process.pid
+  });
+
+  const report = { startedAt: startedAt.toISOString(), pid: process.pid };
+  try {
+    report.result = await runScraper({});
+    report.status = 'completed';
+  } catch (error) {
+    if (error instanceof LockedError) {
+      report.status = 'skipped';
+      report.error = error.message;
+    } else {
+      report.status = 'failed';
+      report.error = error.message;
+    }
+  }
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.now() - startedAt.getTime();
+
+  try {
+    const reportFile = writeReport(report);
+    updateStatus(report, reportFile);
+  } catch (error) {
+    console.warn(`[Scheduler] ⚠ Could not write run report: ${error.message}`);
+  }
+
+  const symbol = report.status === 'completed' ? '✓' : report.status === 'skipped' ? '⚠' : '✗';
+  console.log(`[Scheduler] ${symbol} Crawl ${report.status} in ${Math.round(report.durationMs / 1000)}s${report.error ? `: ${report.error}` : ''}`);
+  return report;
+}
+
+/**
+ * Clear a 'running' status left by a scheduler that crashed or was killed
+ * mid-run, when the process that ran it is gone (the same test run-lock.js
+ * uses for stale locks)
+ */
+function clearStaleRunning() {
+  const status = readStatus();
+  if (!status.running) return;
+
+  // Statuses written before runningPid was recorded fall back to the lock's owner
+  const owner = readOwner();
+  const pid = status.runningPid || owner?.pid;
+  if (pid && isProcessAlive(pid)) return;
+
+  console.warn(`[Scheduler] ⚠ Clearing stale running status from ${status.runningSince || 'an earlier run'}${status.runningPid ? ` (pid ${status.runningPid})` : ''}`);
+  writeJson(STATUS_FILE, { ...status, running: false, runningSince: undefined, runningPid: undefined });
+}
+
+/**
+ * Start the cron schedule (the process keeps running).
+ * runNow also starts a crawl immediately.
+ */
+function startScheduler(runScraper, { expression = SCRAPE_INTERVAL, runNow = false } = {}) {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid SCRAPE_INTERVAL cron expression: ${expression}`);
+  }
+  clearStaleRunning();
+
+  let active = null;
+  const tick = () => {
+    if (active) {
+      console.warn('[Scheduler] ⚠ Previous crawl still running - skipping this tick');
+      return;
+    }
+    active = runScheduledCrawl(runScraper).finally(() => {
+      active = null;
+    });
+  };
+
+  const task = cron.schedule(expression, tick, { timezone: SCRAPE_TIMEZONE });
+  console.log(`[Scheduler] ✓ Crawling on schedule '${expression}'${SCRAPE_TIMEZONE ? ` (${SCRAPE_TIMEZONE})` : ''}`);
+  if (runNow) {
+    tick();
+  }
+
+  return {
+    stop() {
+      task.stop();
+      return active || Promise.resolve();
+    }
+  };
+}
+
+module.exports = {
+  SCRAPE_INTERVAL,
+  STATUS_FILE,
+  runScheduledCrawl,
+  startScheduler
+};
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Categorization fixtures
+ * Runs the categorizer and the content extractors over the saved HTML pages
+ * in test/fixtures/ (no network) and compares them with test/fixtures.json:
+ *   - category:  the category the page must get, maintained by hand
+ *   - extracted: a snapshot of the rule, its confidence, the breadcrumb trail
+ *                and the extractor output
+ * Lists every page whose category or snapshot changed and exits with status 1.
+ *
+ *   node test/run-fixtures.js            # npm test
+ *   node test/run-fixtures.js --update   # accept the current snapshots
+ *   node test/run-fixtures.js --only blog
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { extractPage } = require('../extract');
+const { classifyPage, loadRules } = require('../categorizer');
+const { diffFields, printDiff } = require('../diff');
+
+const MANIFEST_FILE = path.join(__dirname, 'fixtures.json');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Heading paths of a section tree ("The signs › Status reports take days")
+ */
+function headingPaths(sections, parents = []) {
+  return (sections || []).flatMap(section => {
+    const own = section.heading ? [...parents, section.heading] : parents;
+    return [
+      ...(section.heading ? [own.join(' › ')] : []),
+      ...headingPaths(section.children, own)
+    ];
+  });
+}
+
+/**
+ * Categorize and extract one fixture page
+ */
+function runFixture(fixture, rules) {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, fixture.file), 'utf8');
+  const { $, title, description, sections, faqs, details } = extractPage(html, fixture.url);
+  const classification = classifyPage($, html, { url: fixture.url, sitemapSource: fixture.sitemapSource }, rules);
+
+  return {
+    classification,
+    extracted: {
+      rule: classification.rule,
+      confidence: classification.confidence,
+      breadcrumb: classification.breadcrumb,
+      title,
+      description,
+      sections: headingPaths(sections),
+      faqs: faqs.map(faq => faq.question),
+      ...details
+    }
+  };
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      update: { type: 'boolean' },
+      only: { type: 'string', multiple: true }
+    }
+  });
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  const rules = loadRules();
+  const selected = values.only
+    ? manifest.fixtures.filter(fixture => values.only.includes(fixture.name))
+    : manifest.fixtures;
+
+  console.log(`Categorization fixtures (${selected.length} pages, rules v${rules.version})`);
+
+  const categoryChanges = [];
+  let snapshotChanges = 0;
+
+  for (const fixture of selected) {
+    const { classification, extracted } = runFixture(fixture, rules);
+    const how = `rule ${classification.rule}: ${classification.reason}, confidence ${classification.confidence}`;
+
+    if (classification.category !== fixture.category) {
+      categoryChanges.push(fixture.name);
+      console.log(`  ✗ ${fixture.name}: ${fixture.category} → ${classification.category} (${how})`);
+    } else {
+      console.log(`  ✓ ${fixture.name}: ${classification.category} (${how})`);
+    }
+
+    const changes = diffFields(fixture.extracted, extracted);
+    if (values.update) {
+      fixture.extracted = extracted;
+    } else if (changes.length > 0) {
+      snapshotChanges++;
+      printDiff('Snapshot', 'update', fixture.name, changes);
+    }
+  }
+
+  if (values.update) {
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`✓ Snapshots updated in ${path.relative(process.cwd(), MANIFEST_FILE)}`);
+  }
+
+  if (categoryChanges.length > 0) {
+    console.log(`✗ ${categoryChanges.length} page(s) changed category: ${categoryChanges.join(', ')}`);
+  }
+  if (snapshotChanges > 0) {
+    console.log(`✗ ${snapshotChanges} snapshot(s) changed - check the diffs above, then run with --update if they are expected`);
+  }
+  if (categoryChanges.length === 0 && snapshotChanges === 0) {
+    console.log('✓ All fixtures match');
+    return 0;
+  }
+  return 1;
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)));
+}
@@ -0,0 +1,237 @@
+/**
+ * Tombstoning
+ * Retires search items whose pages have disappeared from the sitemaps.
+ *
+ * A stored item that is missing from the sitemap goes through:
+ *   1. missing      - missing_since is recorded, nothing else changes (grace period)
+ *   2. stale        - after TOMBSTONE_STALE_DAYS, flagged for editors, still searchable
+ *   3. unpublished  - after TOMBSTONE_UNPUBLISH_DAYS, removed from Elasticsearch
+ *   4. deleted      - after TOMBSTONE_DELETE_DAYS, deleted from Strapi
+ * An item that shows up in the sitemap again is restored at any stage before deletion.
+ */
+
+const axios = require('axios');
+const { INDEX_NAME, toSearchDocument } = require('../backend/api/index-definition');
+const { urlKey } = require('./urls');
+
+const STRAPI_URL = process.env.STRAPI_URL || 'http://localhost:1400';
+const STRAPI_API_KEY = process.env.STRAPI_API_KEY;
+const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A number of days from the environment; 0 is allowed (act on the next run)
+ */
+function daysSetting(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const TOMBSTONE_CONFIG = {
+  staleDays: daysSetting(process.env.TOMBSTONE_STALE_DAYS, 7),
+  unpublishDays: daysSetting(process.env.TOMBSTONE_UNPUBLISH_DAYS, 14),
+  deleteDays: daysSetting(process.env.TOMBSTONE_DELETE_DAYS, 30),
+  // Refuse to act if more than this share of stored items is missing at once;
+  // that usually means a sitemap failed to load rather than pages were removed
+  maxMissingRatio: parseFloat(process.env.TOMBSTONE_MAX_MISSING_RATIO) || 0.5
+};
+
+const ACTIONS = ['restore', 'mark-missing', 'stale', 'unpublish', 'delete'];
+
+/**
+ * Fetch the given fields (default: url, status and missing_since) for every stored search item
+ */
+async function fetchStoredItems(fields = ['url', 'search_status', 'missing_since']) {
+  const items = [];
+  let page = 1;
+  let pageCount = 1;
+
+  do {
+    const response = await axios.get(`${STRAPI_URL}/api/search-items`, {
+      params: {
+        ...Object.fromEntries(fields.map((field, i) => [`fields[${i}]`, field])),
+        'pagination[page]': page,
+        'pagination[pageSize]': 100
+      },
+      headers: {
+        'Authorization': `Bearer ${STRAPI_API_KEY}`
+      }
+    });
+
+    items.push(...(response.data.data || []));
+    pageCount = response.data.meta?.pagination?.pageCount || 1;
+    page++;
+  } while (page <= pageCount);
+
+  return items;
+}
+
+/**
+ * Decide what to do with each stored item given the current sitemap URLs.
+ * Pure function: returns [{ action, id, url, daysMissing }] for items that need a change.
+ */
+function planTombstones(storedItems, sitemapUrls, now = new Date(), config = TOMBSTONE_CONFIG) {
+  const liveKeys = new Set(sitemapUrls.map(urlKey));
+  const plan = [];
+
+  for (const item of storedItems) {
+    const { url, search_status: status, missing_since: missingSince } = item.attributes || {};
+    const entry = { id: item.id, url, status: status || 'active' };
+
+    if (liveKeys.has(urlKey(url))) {
+      if (missingSince || (status && status !== 'active')) {
+        plan.push({ ...entry, action: 'restore', daysMissing: 0 });
+      }
+      continue;
+    }
+
+    if (!missingSince) {
+      plan.push({ ...entry, action: 'mark-missing', daysMissing: 0 });
+      continue;
+    }
+
+    const daysMissing = (now.getTime() - new Date(missingSince).getTime()) / DAY_MS;
+    if (daysMissing >= config.deleteDays) {
+      plan.push({ ...entry, action: 'delete', daysMissing });
+    } else if (daysMissing >= config.unpublishDays && status !== 'unpublished') {
+      plan.push({ ...entry, action: 'unpublish', daysMissing });
+    } else if (daysMissing >= config.staleDays && (!status || status === 'active')) {
+      plan.push({ ...entry, action: 'stale', daysMissing });
+    }
+  }
+
+  return plan;
+}
+
+async function updateStrapiItem(id, data) {
+  const response = await axios.put(
+    `${STRAPI_URL}/api/search-items/${id}`,
+    { data },
+    {
+      headers: {
+        'Authorization': `Bearer ${STRAPI_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+  return response.data.data;
+}
+
+async function removeFromElasticsearch(id) {
+  try {
+    await axios.delete(`${ELASTICSEARCH_URL}/${INDEX_NAME}/_doc/${id}`);
+  } catch (error) {
+    // Already gone
+    if (!error.response || error.response.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Carry out one planned action in Strapi and Elasticsearch
+ */
+async function applyAction(entry, now) {
+  switch (entry.action) {
+    case 'restore': {
+      const item = await updateStrapiItem(entry.id, { missing_since: null, search_status: 'active' });
+      if (entry.status === 'unpublished' && item) {
+        await axios.put(`${ELASTICSEARCH_URL}/${INDEX_NAME}/_doc/${entry.id}`, toSearchDocument(item.attributes), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      break;
+    }
+    case 'mark-missing':
+      await updateStrapiItem(entry.id, { missing_since: now.toISOString() });
+      break;
+    case 'stale':
+      await updateStrapiItem(entry.id, { search_status: 'stale' });
+      break;
+    case 'unpublish':
+      await updateStrapiItem(entry.id, { search_status: 'unpublished' });
+      await removeFromElasticsearch(entry.id);
+      break;
+    case 'delete':
+      await axios.delete(`${STRAPI_URL}/api/search-items/${entry.id}`, {
+        headers: {
+          'Authorization': `Bearer ${STRAPI_API_KEY}`
+        }
+      });
+      await removeFromElasticsearch(entry.id);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Print the plan grouped by action
+ */
+function printTombstoneReport(plan, { dryRun = false } = {}) {
+  console.log(`\nTombstone report${dryRun ? ' (dry run - nothing changed)' : ''}`);
+  if (plan.length === 0) {
+    console.log('  All stored items are in the sitemap.');
+    return;
+  }
+
+  for (const action of ACTIONS) {
+    const entries = plan.filter(entry => entry.action === action);
+    if (entries.length === 0) continue;
+    console.log(`  ${action}: ${entries.length}`);
+    for (const entry of entries) {
+      const days = entry.daysMissing > 0 ? ` (missing ${Math.floor(entry.daysMissing)} days)` : '';
+      console.log(`    - ${entry.url}${days}`);
+    }
+  }
+}
+
+/**
+ * Compare the sitemap URL set with stored items and retire missing pages.
+ * With dryRun the plan is only reported. Returns { plan, applied, failed, skipped }.
+ */
+async function runTombstones(sitemapUrls, { dryRun = false, now = new Date(), config = TOMBSTONE_CONFIG } = {}) {
+  if (sitemapUrls.length === 0) {
+    console.warn('⚠ Sitemap returned no URLs - skipping tombstoning');
+    return { plan: [], applied: 0, failed: 0, skipped: 'empty sitemap' };
+  }
+
+  const storedItems = await fetchStoredItems();
+  const plan = planTombstones(storedItems, sitemapUrls, now, config);
+
+  const liveKeys = new Set(sitemapUrls.map(urlKey));
+  const missing = storedItems.filter(item => !liveKeys.has(urlKey(item.attributes?.url))).length;
+  if (storedItems.length > 0 && missing / storedItems.length > config.maxMissingRatio) {
+    printTombstoneReport(plan, { dryRun: true });
+    console.warn(`⚠ ${missing} of ${storedItems.length} stored items are missing from the sitemap - skipping tombstoning (limit ${config.maxMissingRatio * 100}%)`);
+    return { plan, applied: 0, failed: 0, skipped: 'too many missing items' };
+  }
+
+  printTombstoneReport(plan, { dryRun });
+  if (dryRun) {
+    return { plan, applied: 0, failed: 0 };
+  }
+
+  let applied = 0;
+  let failed = 0;
+  for (const entry of plan) {
+    try {
+      await applyAction(entry, now);
+      applied++;
+    } catch (error) {
+      failed++;
+      console.error(`Error applying ${entry.action} to ${entry.url}:`, error.response?.status || error.message);
+    }
+  }
+
+  return { plan, applied, failed };
+}
+
+module.exports = {
+  TOMBSTONE_CONFIG,
+  fetchStoredItems,
+  planTombstones,
+  runTombstones,
+  printTombstoneReport
+};
@@ -0,0 +1,62 @@
+/**
+ * URL helpers
+ * The site is scraped from the dev domain but stored under production URLs.
+ * urlKey() is the identity used to decide whether two URLs are the same page.
+ */
+
+const PRODUCTION_DOMAIN = 'i2econsulting.com';
+const DEV_DOMAIN = 'i2e-website-dev-nextjs.azurewebsites.net';
+
+/**
+ * Normalize URL from dev domain to production domain
+ * Scrapes from dev but stores with production URLs
+ */
+function normalizeUrlToProduction(url) {
+  if (!url || typeof url !== 'string') {
+    return url;
+  }
+  
+  try {
+    // Replace dev domain with production domain
+    let normalizedUrl = url.replace(
+      new RegExp(`https?://${DEV_DOMAIN.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'gi'),
+      (match) => {
+        // Preserve http/https protocol
+        return match.replace(DEV_DOMAIN, PRODUCTION_DOMAIN);
+      }
+    );
+    
+    // Ensure www prefix for consistency (most production sites use www)
+    // This matches what's likely in the database
+    if (!normalizedUrl.includes('www.') && normalizedUrl.includes('://')) {
+      normalizedUrl = normalizedUrl.replace('://', '://www.');
+    }
+    
+    return normalizedUrl;
+  } catch (error) {
+    console.error(`Error normalizing URL ${url}:`, error.message);
+    return url; // Return original if normalization fails
+  }
+}
+
+/**
+ * Comparison key for a URL: production domain, no protocol, no www,
+ * no trailing slash, lowercase. Matches the variants checkExistingItem tries.
+ */
+function urlKey(url) {
+  if (!url || typeof url !== 'string') {
+    return '';
+  }
+  return normalizeUrlToProduction(url.trim())
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+}
+
+module.exports = {
+  PRODUCTION_DOMAIN,
+  DEV_DOMAIN,
+  normalizeUrlToProduction,
+  urlKey
+};
@@ -0,0 +1,172 @@
+/**
+ * Index verification
+ * Read-only comparison of the sitemaps, Strapi and the Elasticsearch search
+ * alias. Reports:
+ *   - alias:       search_items is a concrete index instead of an alias
+ *   - missing:     searchable Strapi items that aren't indexed
+ *   - orphaned:    indexed documents with no Strapi item, or an unpublished one
+ *   - mismatched:  indexed url/title/category differs from Strapi (category_override wins)
+ *   - stale:       indexed updated_at is older than Strapi's updatedAt
+ *   - unstored:    sitemap pages with no Strapi item
+ */
+
+const axios = require('axios');
+const { INDEX_NAME, isSearchable, effectiveCategory } = require('../backend/api/index-definition');
+const { fetchStoredItems } = require('./tombstone');
+const { urlKey } = require('./urls');
+
+const ELASTICSEARCH_URL = process.env.ELASTICSEARCH_URL || 'http://localhost:9200';
+
+const COMPARED_FIELDS = ['url', 'title', 'category'];
+// Examples printed per problem type
+const REPORT_LIMIT = 20;
+
+/**
+ * Indices the search alias points at ([] if it is a concrete index)
+ */
+async function fetchAliasTargets() {
+  try {
+    const response = await axios.get(`${ELASTICSEARCH_URL}/_alias/${INDEX_NAME}`);
+    return Object.keys(response.data || {});
+  } catch (error) {
+    if (error.response?.status === 404) return [];
+    throw error;
+  }
+}
+
+/**
+ * Map of id -> _source for every indexed document (scroll API)
+ */
+async function fetchIndexedDocuments() {
+  const documents = new Map();
+  let response = await axios.post(
+    `${ELASTICSEARCH_URL}/${INDEX_NAME}/_search?scroll=1m`,
+    {
+      size: 1000,
+      _source: [...COMPARED_FIELDS, 'updated_at'],
+      query: { match_all: {} }
+    },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  let scrollId = response.data._scroll_id;
+  try {
+    while (response.data.hits.hits.length > 0) {
+      for (const hit of response.data.hits.hits) {
+        documents.set(hit._id, hit._source || {});
+      }
+      response = await axios.post(
+        `${ELASTICSEARCH_URL}/_search/scroll`,
+        { scroll: '1m', scroll_id: scrollId },
+        { headers: { 'Content-Type': 'application/json' } }
+      );
+      scrollId = response.data._scroll_id;
+    }
+  } finally {
+    await axios.delete(`${ELASTICSEARCH_URL}/_search/scroll`, { data: { scroll_id: scrollId } }).catch(() => {});
+  }
+
+  return documents;
+}
+
+/**
+ * Compare Strapi items, indexed documents and sitemap URLs (pure).
+ * Returns { missing, orphaned, mismatched, stale, unstored } lists.
+ */
+function compareIndex(storedItems, indexedDocuments, sitemapUrls = null) {
+  const problems = { missing: [], orphaned: [], mismatched: [], stale: [], unstored: [] };
+  const storedById = new Map(storedItems.map(item => [String(item.id), item.attributes || {}]));
+
+  for (const [id, attributes] of storedById) {
+    const document = indexedDocuments.get(id);
+    if (!isSearchable(attributes)) continue;
+    if (!document) {
+      problems.missing.push({ id, url: attributes.url });
+      continue;
+    }
+
+    const expected = { ...attributes, category: effectiveCategory(attributes) };
+    const fields = COMPARED_FIELDS.filter(field => (document[field] || '') !== (expected[field] || ''));
+    if (fields.length > 0) {
+      problems.mismatched.push({ id, url: attributes.url, fields });
+    }
+    if (attributes.updatedAt && document.updated_at &&
+        new Date(document.updated_at).getTime() < new Date(attributes.updatedAt).getTime()) {
+      problems.stale.push({ id, url: attributes.url });
+    }
+  }
+
+  for (const [id, document] of indexedDocuments) {
+    const attributes = storedById.get(id);
+    if (!attributes) {
+      problems.orphaned.push({ id, url: document.url, reason: 'no Strapi item' });
+    } else if (!isSearchable(attributes)) {
+      problems.orphaned.push({ id, url: document.url, reason: 'unpublished in Strapi' });
+    }
+  }
+
+  if (sitemapUrls) {
+    const storedKeys = new Set([...storedById.values()].map(attributes => urlKey(attributes.url)));
+    for (const url of sitemapUrls) {
+      if (!storedKeys.has(urlKey(url))) {
+        problems.unstored.push({ url });
+      }
+    }
+  }
+
+  return problems;
+}
+
+function printProblems(label, entries, describe) {
+  if (entries.length === 0) return;
+  console.log(`  ${label}: ${entries.length}`);
+  for (const entry of entries.slice(0, REPORT_LIMIT)) {
+    console.log(`    - ${describe(entry)}`);
+  }
+  if (entries.length > REPORT_LIMIT) {
+    console.log(`    … and ${entries.length - REPORT_LIMIT} more`);
+  }
+}
+
+/**
+ * Run every check and print the report.
+ * Sitemap pages with no stored item are only reported when sitemapUrls is given.
+ * Returns { ok, aliasTargets, strapiItems, indexedDocuments, problems }.
+ */
+async function verifyIndex({ sitemapUrls = null } = {}) {
+  const [aliasTargets, storedItems, indexedDocuments] = await Promise.all([
+    fetchAliasTargets(),
+    fetchStoredItems(['url', 'title', 'category', 'category_override', 'search_status', 'updatedAt']),
+    fetchIndexedDocuments()
+  ]);
+  const problems = compareIndex(storedItems, indexedDocuments, sitemapUrls);
+
+  console.log('\nIndex verification');
+  console.log(`  Strapi items: ${storedItems.length}, indexed documents: ${indexedDocuments.size}`);
+  if (aliasTargets.length === 0) {
+    console.log(`  ⚠ '${INDEX_NAME}' is not an alias - run the reindex script to move to versioned indices`);
+  } else {
+    console.log(`  '${INDEX_NAME}' → ${aliasTargets.join(', ')}`);
+  }
+
+  printProblems('Missing from the index', problems.missing, entry => `${entry.url} (id ${entry.id})`);
+  printProblems('Orphaned in the index', problems.orphaned, entry => `${entry.url || '(no url)'} (id ${entry.id}, ${entry.reason})`);
+  printProblems('Different from Strapi', problems.mismatched, entry => `${entry.url} (${entry.fields.join(', ')})`);
+  printProblems('Older than Strapi', problems.stale, entry => `${entry.url} (id ${entry.id})`);
+  printProblems('In the sitemaps but not stored', problems.unstored, entry => entry.url);
+
+  // Unstored sitemap pages are expected in update-only mode, so they don't fail verification
+  const ok = aliasTargets.length > 0 &&
+    problems.missing.length === 0 &&
+    problems.orphaned.length === 0 &&
+    problems.mismatched.length === 0 &&
+    problems.stale.length === 0;
+  console.log(ok ? '  ✓ Index matches Strapi' : '  ✗ Index differs from Strapi');
+
+  return { ok, aliasTargets, strapiItems: storedItems.length, indexedDocuments: indexedDocuments.size, problems };
+}
+
+module.exports = {
+  compareIndex,
+  verifyIndex
+};